@@ -0,0 +1,3 @@
+"""Package whose submodules are imported by name."""
+
+VERSION = '1.0'
@@ -0,0 +1,9 @@
+"""Helpers called through the module name."""
+
+
+def go():
+    return prepare()
+
+
+def prepare():
+    return 'ready'
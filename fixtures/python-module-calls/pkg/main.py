@@ -0,0 +1,13 @@
+"""Calls helpers.go() through 'from . import helpers' and its absolute, aliased form."""
+
+from . import helpers
+from pkg import helpers as h
+from pkg import VERSION
+
+
+def run():
+    return helpers.go()
+
+
+def run_aliased():
+    return h.prepare(), VERSION.lower()
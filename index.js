@@ -1,30 +1,68 @@
 #!/usr/bin/env node
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
 import * as url from 'url';
 import TreeSitter from 'web-tree-sitter';
 
 // WASM language parsers will be loaded dynamically
 let Parser = null;
 let initialized = false;
+let setupAttempted = false;
 const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
 
+// Grammars downloaded automatically when missing; the others come from the setup script
+const REQUIRED_GRAMMARS = ['tree-sitter-javascript.wasm', 'tree-sitter-python.wasm'];
+
 // Define supported languages and their WASM paths
 const SUPPORTED_LANGUAGES = {
   'js': 'tree-sitter-javascript.wasm',
   'jsx': 'tree-sitter-javascript.wasm',
-  'ts': 'tree-sitter-javascript.wasm',
-  'tsx': 'tree-sitter-javascript.wasm',
-  'py': 'tree-sitter-python.wasm'
+  'mjs': 'tree-sitter-javascript.wasm',
+  'cjs': 'tree-sitter-javascript.wasm',
+  'ts': 'tree-sitter-typescript.wasm',
+  'mts': 'tree-sitter-typescript.wasm',
+  'cts': 'tree-sitter-typescript.wasm',
+  'tsx': 'tree-sitter-tsx.wasm',
+  'py': 'tree-sitter-python.wasm',
+  'go': 'tree-sitter-go.wasm',
+  'rs': 'tree-sitter-rust.wasm',
+  'java': 'tree-sitter-java.wasm',
+  'c': 'tree-sitter-c.wasm',
+  'h': 'tree-sitter-c.wasm',
+  'cpp': 'tree-sitter-cpp.wasm',
+  'cc': 'tree-sitter-cpp.wasm',
+  'cxx': 'tree-sitter-cpp.wasm',
+  'hpp': 'tree-sitter-cpp.wasm',
+  'hh': 'tree-sitter-cpp.wasm',
+  'hxx': 'tree-sitter-cpp.wasm',
+  'cs': 'tree-sitter-c_sharp.wasm',
+  'rb': 'tree-sitter-ruby.wasm',
+  'php': 'tree-sitter-php.wasm'
 };
 
 // Language instances
 const languageInstances = {};
 
+// Compiled symbol extraction queries by WASM file, and their sources (see the .scm files in parsers/)
+const languageQueries = {};
+// Compiled find_references queries by WASM file, null for grammars without '@reference.identifier' captures
+const referenceQueries = {};
+// Compiled complexity metric queries by WASM file, null for grammars without '@metric.*' captures
+const metricQueries = {};
+const querySources = new Map();
+let queryFingerprint = null;
+
+// Symbol categories returned by extractCodeSymbols
+const SYMBOL_CATEGORIES = ['functions', 'variables', 'classes', 'imports', 'exports', 'interfaces', 'types', 'enums', 'namespaces', 'entities'];
+
 // Global store for code symbols
 const codeSymbols = {
   functions: {},  // Functions by file path
@@ -32,9 +70,20 @@ const codeSymbols = {
   classes: {},    // Classes by file path
   imports: {},    // Imports by file path
   exports: {},    // Exports by file path
+  interfaces: {}, // Interfaces and traits by file path
+  types: {},      // Type aliases by file path
+  enums: {},      // Enums by file path
+  namespaces: {}, // Packages, namespaces and modules by file path
+  entities: {},   // Framework entities (components, hooks, routes) by file path
   files: new Set() // All analyzed files
 };
 
+// Version of the persisted symbol index format; bump whenever extracted symbol records change shape
+const SYMBOL_INDEX_VERSION = 15;
+
+// Persistent symbol indexes by resolved project root
+const symbolIndexes = new Map();
+
 // Initialize Tree-sitter with WASM
 async function initializeTreeSitter() {
   if (initialized) return;
@@ -43,19 +92,28 @@ async function initializeTreeSitter() {
     await TreeSitter.init();
     Parser = TreeSitter;
 
-    // Create language parsers
+    // Create language parsers (user query directories may provide their own grammars)
     const languages = new Set(Object.values(SUPPORTED_LANGUAGES));
     const parsersDir = ensureParsersDirectory();
     let missingWasmFiles = [];
 
     for (const wasmFile of languages) {
+      if (languageInstances[wasmFile]) continue;
       try {
-        const wasmPath = path.join(parsersDir, wasmFile);
-        if (fs.existsSync(wasmPath)) {
+        const wasmPath = findGrammarFile(wasmFile);
+        if (wasmPath) {
           const lang = await TreeSitter.Language.load(wasmPath);
           languageInstances[wasmFile] = lang;
+
+          // Compile the symbol extraction query of the language
+          const querySource = readQuerySource(wasmFile);
+          if (querySource) {
+            languageQueries[wasmFile] = compileQuery(lang, removeQueryPatterns(querySource, SEPARATE_QUERY_CAPTURES), wasmFile);
+          } else {
+            console.warn(`Warning: no symbol extraction query for ${wasmFile}, its files are listed without symbols`);
+          }
         } else {
-          console.warn(`Warning: WASM parser not found at ${wasmPath}`);
+          console.warn(`Warning: WASM parser not found at ${path.join(parsersDir, wasmFile)}`);
           missingWasmFiles.push(wasmFile);
         }
       } catch (err) {
@@ -71,21 +129,23 @@ async function initializeTreeSitter() {
       console.error(`  npx code-context-provider-mcp-setup`);
       console.error(`\nOr download the WASM files manually and place them in: ${parsersDir}`);
       console.error(`- JavaScript: https://github.com/tree-sitter/tree-sitter-javascript/releases`);
+      console.error(`- TypeScript/TSX: https://github.com/tree-sitter/tree-sitter-typescript/releases`);
       console.error(`- Python: https://github.com/tree-sitter/tree-sitter-python/releases`);
+      console.error(`- Go, Rust, Java, C, C++, C#, Ruby, PHP: https://github.com/tree-sitter/tree-sitter-<language>/releases`);
 
-      // Attempt to run the setup script automatically if in a Node.js context (not in browser)
-      if (typeof process !== 'undefined' && process.versions && process.versions.node) {
-        console.log('\nAttempting to download WASM files automatically...');
+      // Attempt to download the required grammars automatically (once) if in a Node.js context (not in browser).
+      // Optional grammars are left to the setup script: their files are listed without symbols. Progress goes to
+      // stderr, stdout carries the MCP protocol
+      const missingRequiredFiles = missingWasmFiles.filter(wasmFile => REQUIRED_GRAMMARS.includes(wasmFile));
+      if (missingRequiredFiles.length > 0 && !setupAttempted && typeof process !== 'undefined' && process.versions && process.versions.node) {
+        setupAttempted = true;
+        console.error('\nAttempting to download the JavaScript and Python WASM files automatically...');
 
         try {
           // Using dynamic import to avoid issues in browser environments
           const setupModule = await import('./setup.js');
-          if (typeof setupModule.default === 'function') {
-            await setupModule.default();
-          } else {
-            // Try to run the setupParsers function directly
-            await setupModule.setupParsers();
-          }
+          const setupParsers = typeof setupModule.default === 'function' ? setupModule.default : setupModule.setupParsers;
+          await setupParsers({ parsers: missingRequiredFiles, log: console.error });
 
           // Try to initialize again with the newly downloaded files
           return await initializeTreeSitter();
@@ -95,7 +155,8 @@ async function initializeTreeSitter() {
       }
     }
 
-    initialized = missingWasmFiles.length === 0;
+    // Files of languages whose parser is missing are listed without symbols
+    initialized = Object.keys(languageInstances).length > 0;
     return initialized;
   } catch (err) {
     console.error("Failed to initialize Tree-sitter:", err);
@@ -109,6 +170,365 @@ function getLanguageFromExtension(filePath) {
   return SUPPORTED_LANGUAGES[ext] || null;
 }
 
+// Function to parse a file with the grammar matching its extension
+function parseSource(filePath, fileContent) {
+  const wasmFile = getLanguageFromExtension(filePath);
+  if (!wasmFile || !languageInstances[wasmFile]) {
+    return null; // Unsupported language
+  }
+
+  const parser = new Parser();
+  parser.setLanguage(languageInstances[wasmFile]);
+  return { wasmFile, tree: parser.parse(fileContent) };
+}
+
+// Function to check if two syntax nodes are the same node (node objects are recreated on every access)
+function isSameNode(a, b) {
+  return Boolean(a && b) && a.type === b.type && a.startIndex === b.startIndex && a.endIndex === b.endIndex;
+}
+
+// Function to get all children of a node stored under a (repeatable) field name
+function getChildrenForFieldName(node, fieldName) {
+  const children = [];
+  const cursor = node.walk();
+  if (cursor.gotoFirstChild()) {
+    do {
+      if (cursor.currentFieldName() === fieldName) {
+        children.push(cursor.currentNode());
+      }
+    } while (cursor.gotoNextSibling());
+  }
+  cursor.delete();
+  return children;
+}
+
+// Function to get the directory of the user's query files, which override the bundled ones and can add languages
+function getUserQueriesDirectory() {
+  if (process.env.CODE_CONTEXT_QUERIES_DIR) {
+    return path.resolve(process.env.CODE_CONTEXT_QUERIES_DIR);
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'code-context-provider-mcp', 'queries');
+}
+
+// Function to register the languages added by user query files: a '; extensions: kt, kts' header maps file
+// extensions to the grammar named after the query file (its WASM file goes next to it or in parsers/)
+function registerUserLanguages() {
+  const queriesDir = getUserQueriesDirectory();
+  if (!fs.existsSync(queriesDir)) {
+    return;
+  }
+
+  try {
+    for (const fileName of fs.readdirSync(queriesDir).filter(name => name.endsWith('.scm'))) {
+      const header = fs.readFileSync(path.join(queriesDir, fileName), 'utf8').match(/^;\s*extensions:\s*(.+)$/m);
+      for (const ext of header ? header[1].split(/[\s,]+/) : []) {
+        if (ext) {
+          SUPPORTED_LANGUAGES[ext.replace(/^\./, '').toLowerCase()] = fileName.replace(/\.scm$/, '.wasm');
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Error reading query directory ${queriesDir}: ${error.message}`);
+  }
+}
+
+// Function to find a grammar file (WASM or query) in the user's query directory, falling back to the bundled parsers
+function findGrammarFile(fileName) {
+  return [getUserQueriesDirectory(), ensureParsersDirectory()]
+    .map(dir => path.join(dir, fileName))
+    .find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Function to read the extraction query of a grammar. A '; inherits: tree-sitter-x' header prepends the query
+// of another grammar (TypeScript extends JavaScript)
+function readQuerySource(wasmFile, inheritedBy = []) {
+  if (querySources.has(wasmFile)) {
+    return querySources.get(wasmFile);
+  }
+
+  const grammarName = wasmFile.replace(/\.wasm$/, '');
+  const queryPath = findGrammarFile(`${grammarName}.scm`);
+  let source = queryPath ? fs.readFileSync(queryPath, 'utf8') : null;
+
+  const inherits = source?.match(/^;\s*inherits:\s*(.+)$/m);
+  if (inherits) {
+    const inherited = inherits[1].split(',')
+      .map(name => name.trim())
+      .filter(name => name && name !== grammarName && !inheritedBy.includes(name))
+      .map(name => readQuerySource(`${name}.wasm`, [...inheritedBy, grammarName]) || '');
+    source = [...inherited, source].join('\n');
+  }
+
+  querySources.set(wasmFile, source);
+  return source;
+}
+
+// Function to fingerprint the extraction queries, so symbol indexes built with other queries are discarded
+function getQueryFingerprint() {
+  if (!queryFingerprint) {
+    const hash = crypto.createHash('sha1');
+    for (const wasmFile of [...new Set(Object.values(SUPPORTED_LANGUAGES))].sort()) {
+      hash.update(`${wasmFile}\0${readQuerySource(wasmFile) ?? ''}\0`);
+    }
+    queryFingerprint = hash.digest('hex');
+  }
+  return queryFingerprint;
+}
+
+// Function to split a query into its top-level patterns (captures, quantifiers and predicates stay with their pattern)
+function splitQueryPatterns(source) {
+  const patterns = [];
+  let current = '';
+  let depth = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === ';') {
+      // Comments run to the end of the line
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+      current += '\n';
+      continue;
+    }
+    // A new node, alternation, string or wildcard at the top level starts the next pattern
+    if (depth === 0 && /[(["_]/.test(char) && current.trim()) {
+      patterns.push(current);
+      current = '';
+    }
+    if (char === '"') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '"') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      current += source.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+    if (char === '@') {
+      const capture = source.slice(i).match(/^@[\w.-]*/)[0];
+      current += capture;
+      i += capture.length - 1;
+      continue;
+    }
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    current += char;
+  }
+
+  if (current.trim()) {
+    patterns.push(current);
+  }
+  return patterns;
+}
+
+// Function to compile the extraction query of a grammar. Patterns the grammar can't compile are skipped, so one
+// bad pattern doesn't disable the whole language; unknown node types are expected across grammar versions
+function compileQuery(language, source, wasmFile) {
+  const query = compileQueryPatterns(language, source, wasmFile);
+  // web-tree-sitter 0.20 attaches '#set!' properties to the wrong match once a predicate filtered one out, so
+  // they are kept apart and looked up by pattern index
+  query.patternProperties = query.setProperties;
+  query.setProperties = [];
+  return query;
+}
+
+// Capture of the identifier nodes that find_references matches by name. Its patterns match every identifier, so they
+// are left out of the extraction query and only compiled into the references query, like the '@reference.definition'
+// names that only classify those identifiers
+const REFERENCE_IDENTIFIER_CAPTURE = '@reference.identifier';
+
+// Prefix of the captures that mark control flow for the complexity metrics, compiled into their own query
+const METRIC_CAPTURE_PREFIX = '@metric.';
+
+// Captures whose patterns are left out of the extraction query
+const SEPARATE_QUERY_CAPTURES = [REFERENCE_IDENTIFIER_CAPTURE, '@reference.definition', METRIC_CAPTURE_PREFIX];
+
+// Function to remove the patterns using any of the given captures from a query source
+function removeQueryPatterns(source, captures) {
+  if (!captures.some(capture => source.includes(capture))) {
+    return source;
+  }
+  return splitQueryPatterns(source).filter(pattern => !captures.some(capture => pattern.includes(capture))).join('\n');
+}
+
+// Function to get the find_references query of a grammar, compiled on first use: its '@reference.identifier' patterns
+// and the definition, member, import, export and call patterns that classify the identifiers
+function getReferenceQuery(wasmFile) {
+  if (!(wasmFile in referenceQueries)) {
+    const source = readQuerySource(wasmFile);
+    const patterns = source?.includes(REFERENCE_IDENTIFIER_CAPTURE)
+      ? splitQueryPatterns(source).filter(pattern => /@(reference|definition|member)\.|@(import|export)\b/.test(pattern))
+      : [];
+    referenceQueries[wasmFile] = patterns.length > 0 ? compileQuery(languageInstances[wasmFile], patterns.join('\n'), wasmFile) : null;
+  }
+  return referenceQueries[wasmFile];
+}
+
+// Function to get the complexity metric query of a grammar (its '@metric.*' patterns), compiled on first use
+function getMetricQuery(wasmFile) {
+  if (!(wasmFile in metricQueries)) {
+    const source = readQuerySource(wasmFile);
+    const patterns = source ? splitQueryPatterns(source).filter(pattern => pattern.includes(METRIC_CAPTURE_PREFIX)) : [];
+    metricQueries[wasmFile] = patterns.length > 0 ? compileQuery(languageInstances[wasmFile], patterns.join('\n'), wasmFile) : null;
+  }
+  return metricQueries[wasmFile];
+}
+
+// Function to compile query patterns, skipping the ones the grammar can't compile
+function compileQueryPatterns(language, source, wasmFile) {
+  try {
+    return language.query(source);
+  } catch (error) {
+    const validPatterns = splitQueryPatterns(source).filter(pattern => {
+      try {
+        language.query(pattern).delete();
+        return true;
+      } catch (patternError) {
+        if (!/^Bad node name/.test(patternError.message)) {
+          console.error(`Skipping query pattern of ${wasmFile} (${patternError.message}): ${pattern.trim()}`);
+        }
+        return false;
+      }
+    });
+    return language.query(validPatterns.join('\n'));
+  }
+}
+
+// Fields holding the return type of a function or method, across the supported grammars
+const RETURN_TYPE_FIELDS = ['return_type', 'result', 'returns', 'type'];
+
+// Symbol categories of the '@definition.<kind>' query captures
+const DEFINITION_CATEGORIES = {
+  function: 'functions',
+  method: 'functions',
+  class: 'classes',
+  struct: 'classes',
+  record: 'classes',
+  trait: 'classes',
+  interface: 'interfaces',
+  type: 'types',
+  enum: 'enums',
+  namespace: 'namespaces',
+  variable: 'variables',
+  field: 'variables'
+};
+
+// Captures of an entity match that describe the entity, rather than name its kind ('@entity.route')
+const ENTITY_FIELDS = ['method', 'path', 'handler'];
+
+// Names of React hooks (useState, useCart), which components and custom hooks call
+const REACT_HOOK_NAME = /^use[A-Z]/;
+
+// Markers of rest and variadic parameters (...rest, *args, **kwargs, xs ...int, String... xs)
+const REST_PARAMETER_MARKERS = ['...', '*', '**'];
+
+// Separators of qualified import paths (a::b, a.b, A\B)
+const IMPORT_PATH_SEPARATORS = ['::', '.', '\\'];
+
+// Function to find the rows of a syntax tree that hold code, leaving out blank and comment-only lines
+function getCodeRows(rootNode) {
+  const rows = new Set();
+  const cursor = rootNode.walk();
+  for (;;) {
+    if (cursor.gotoFirstChild()) continue;
+    if (!cursor.nodeType.includes('comment')) {
+      for (let row = cursor.startPosition.row; row <= cursor.endPosition.row; row++) rows.add(row);
+    }
+    while (!cursor.gotoNextSibling()) {
+      if (!cursor.gotoParent()) {
+        cursor.delete();
+        return rows;
+      }
+    }
+  }
+}
+
+// Function to collect the control flow roles of the nodes of a syntax tree from the '@metric.*' captures of its
+// language's query, by node key. Roles are flags named after the captures ('branch', 'if', 'switch', 'case',
+// 'else_if', 'else', 'inline'); '@metric.logical' captures the operator of a logical expression, whose 'logical' role
+// is the operator text. Returns null when the query has no '@metric.*' captures
+function getMetricRoles(rootNode, wasmFile, nodeKey) {
+  const query = getMetricQuery(wasmFile);
+  if (!query) {
+    return null;
+  }
+
+  const roles = new Map();
+  for (const { name, node } of query.captures(rootNode)) {
+    const role = name.slice('metric.'.length);
+    const target = role === 'logical' ? node.parent : node;
+    const key = nodeKey(target);
+    if (!roles.has(key)) roles.set(key, {});
+    roles.get(key)[role] = role === 'logical' ? node.text : true;
+  }
+  return roles;
+}
+
+// Function to measure the complexity of a function: cyclomatic complexity (1 + decision points), cognitive
+// complexity (branches weigh more the deeper they are nested, else branches and operator sequences add one) and the
+// deepest nesting of control structures. getRoles(node) returns the metric roles of a node (see getMetricRoles).
+// Nested functions recorded on their own are measured apart; inline callbacks count toward the function, one
+// nesting level deeper
+function measureComplexity(functionNode, getNestedFunctionKind, getRoles) {
+  let cyclomatic = 1;
+  let cognitive = 0;
+  let maxNesting = 0;
+
+  const visit = (node, nesting) => {
+    const nodeRoles = getRoles(node);
+    for (const child of node.namedChildren) {
+      const nestedKind = getNestedFunctionKind(child);
+      if (nestedKind === 'recorded') continue;
+      if (nestedKind === 'inline') {
+        visit(child, nesting + 1);
+        continue;
+      }
+
+      const roles = getRoles(child);
+      let childNesting = nesting;
+      if (roles.branch) {
+        cyclomatic++;
+        const isElseIf = nodeRoles.else || (nodeRoles.if && isSameNode(node.childForFieldName('alternative'), child));
+        if (isElseIf) {
+          // Case: 'else if' continues the if it belongs to, at the same nesting level (the else already counted)
+          if (!nodeRoles.else) cognitive++;
+        } else {
+          cognitive += 1 + nesting;
+          childNesting = nesting + 1;
+          maxNesting = Math.max(maxNesting, childNesting);
+        }
+
+        // Case: Go and Java else branches are the alternative block of the if, without an else node
+        const alternative = roles.if ? child.childForFieldName('alternative') : null;
+        const alternativeRoles = alternative ? getRoles(alternative) : {};
+        if (alternative && !alternativeRoles.branch && !alternativeRoles.else && !alternativeRoles.else_if) {
+          cognitive++;
+        }
+      } else if (roles.switch) {
+        cognitive += 1 + nesting;
+        childNesting = nesting + 1;
+        maxNesting = Math.max(maxNesting, childNesting);
+      } else if (roles.case) {
+        if (!/^(default|_)\b/.test(child.text)) cyclomatic++;
+      } else if (roles.else_if) {
+        cyclomatic++;
+        cognitive++;
+      } else if (roles.else) {
+        cognitive++;
+      } else if (roles.logical) {
+        cyclomatic++;
+        // A sequence of the same operator (a && b && c) counts once
+        if (nodeRoles.logical !== roles.logical) cognitive++;
+      }
+      visit(child, childNesting);
+    }
+  };
+
+  visit(functionNode, 0);
+  return { cyclomatic, cognitive, maxNesting };
+}
+
 // Function to extract code symbols from a file
 async function extractCodeSymbols(filePath, fileContent) {
   // Ensure TreeSitter is initialized
@@ -118,14 +538,12 @@ async function extractCodeSymbols(filePath, fileContent) {
 
   try {
     // Set the appropriate language based on file extension
-    const wasmFile = getLanguageFromExtension(filePath);
-    if (!wasmFile || !languageInstances[wasmFile]) {
-      return null; // Unsupported language
+    const parsed = parseSource(filePath, fileContent);
+    if (!parsed || !languageQueries[parsed.wasmFile]) {
+      return null; // Unsupported language, or no extraction query for it
     }
 
-    const parser = new Parser();
-    parser.setLanguage(languageInstances[wasmFile]);
-    const tree = parser.parse(fileContent);
+    const { wasmFile, tree } = parsed;
     const rootNode = tree.rootNode;
 
     const functions = [];
@@ -133,6 +551,11 @@ async function extractCodeSymbols(filePath, fileContent) {
     const classes = [];
     const imports = [];
     const exports = [];
+    const interfaces = [];
+    const types = [];
+    const enums = [];
+    const namespaces = [];
+    const entities = [];
 
     // Helper to get line and column info
     const getPosition = (node) => {
@@ -171,421 +594,589 @@ async function extractCodeSymbols(filePath, fileContent) {
       return name !== 'anonymous' || node.text.length > 100;
     };
 
-    // Helper to infer function name from context
-    const inferFunctionName = (node) => {
-      let name = 'anonymous';
-
-      // Check if function is assigned to a variable
-      const parent = node.parent;
+    // Helper to read a type annotation field without its leading colon
+    const getTypeAnnotation = (node, fieldName) => {
+      const typeNode = node.childForFieldName(fieldName);
+      return typeNode ? typeNode.text.replace(/^:\s*/, '') : null;
+    };
 
-      if (parent) {
-        if (parent.type === 'variable_declarator') {
-          // Case: const myFunc = function() {...} or const myFunc = () => {...}
-          const nameNode = parent.childForFieldName('name');
-          if (nameNode) {
-            return nameNode.text;
-          }
-        } else if (parent.type === 'pair' && parent.parent && parent.parent.type === 'object') {
-          // Case: { myMethod: function() {...} } or { myMethod: () => {...} }
-          const keyNode = parent.childForFieldName('key');
-          if (keyNode) {
-            return keyNode.text.replace(/['"]/g, '');
-          }
-        } else if (parent.type === 'assignment_expression') {
-          // Case: obj.method = function() {...} or MyClass.prototype.method = function() {...}
-          const leftNode = parent.childForFieldName('left');
-          if (leftNode) {
-            if (leftNode.type === 'member_expression') {
-              // Get rightmost part, e.g., 'method' from 'obj.method'
-              const propertyNode = leftNode.childForFieldName('property');
-              if (propertyNode) {
-                return propertyNode.text;
-              }
-            } else {
-              return leftNode.text;
-            }
-          }
-        } else if (parent.type === 'property_identifier' && parent.parent &&
-                  parent.parent.type === 'member_expression') {
-          // Case for method callbacks like .then(() => {...})
-          return parent.text;
-        }
+    // Helper to get the name a C-style declarator declares (e.g. 'a' for '*a' or 'a[10]')
+    const getDeclaredName = (node) => {
+      while (node.childForFieldName('declarator')) {
+        node = node.childForFieldName('declarator');
       }
+      return node.text;
+    };
 
-      return name;
+    // Helper to get the rest/variadic marker of a parameter ('...', '*' or '**'), on it or its pattern
+    const getRestMarker = (param) => {
+      for (const node of [param, param.namedChildren[0]]) {
+        const marker = node?.children.find(child => !child.isNamed() && REST_PARAMETER_MARKERS.includes(child.type));
+        if (marker) return marker.type;
+      }
+      return null;
     };
 
-    // Process different languages
-    if (wasmFile === 'tree-sitter-javascript.wasm') {
-      // Process JavaScript/TypeScript
-
-      // Find function declarations
-      const functionNodes = rootNode.descendantsOfType([
-        'function_declaration',
-        'method_definition',
-        'arrow_function',
-        'function'
-      ]);
-
-      for (const node of functionNodes) {
-        // Get function name
-        let name = 'anonymous';
-        let parentFunction = null;
-
-        if (node.type === 'function_declaration') {
-          const nameNode = node.firstNamedChild;
-          if (nameNode) name = nameNode.text;
-        } else if (node.type === 'method_definition') {
-          const nameNode = node.childForFieldName('name');
-          if (nameNode) name = nameNode.text;
-
-          // Get parent class or object
-          const classNode = node.parent?.parent;
-          if (classNode?.type === 'class_declaration') {
-            const classNameNode = classNode.childForFieldName('name');
-            if (classNameNode) parentFunction = classNameNode.text;
+    // Helper to get the parameters of a function along with their type annotations, default values and rest
+    // markers, one per declared name (Go declares 'a, b int')
+    const getParameters = (node) => {
+      let paramsNode = node.childForFieldName('parameters');
+      // C-style definitions declare their parameters in the (possibly nested) function declarator
+      for (let declarator = node.childForFieldName('declarator'); !paramsNode && declarator; declarator = declarator.childForFieldName('declarator')) {
+        paramsNode = declarator.childForFieldName('parameters');
+      }
+      if (!paramsNode) {
+        // Case: x => x (single parameter without parentheses)
+        const paramNode = node.childForFieldName('parameter');
+        return paramNode ? [{ name: paramNode.text, type: null, optional: false, defaultValue: null, rest: null }] : [];
+      }
+
+      // Case: C# 'params int[] xs' is a keyword, a type and a name directly in the parameter list
+      const paramsKeyword = paramsNode.children.find(child => child.type === 'params');
+      const variadicNodes = paramsKeyword ? paramsNode.namedChildren.filter(child => child.startIndex > paramsKeyword.startIndex) : [];
+
+      const parameters = paramsNode.namedChildren
+        .filter(param => !param.type.includes('comment') && param.text !== 'void' && !variadicNodes.some(variadic => isSameNode(variadic, param)))
+        .flatMap(param => {
+          // Case: Java 'String... xs' declares its type and name without fields
+          const spreadDeclarator = param.type === 'spread_parameter' ? param.namedChildren.find(child => child.type === 'variable_declarator') : null;
+          const type = spreadDeclarator ? param.namedChildren[0].text : getTypeAnnotation(param, 'type');
+          // Case: JavaScript 'b = 2' is an assignment pattern
+          const defaultNode = param.childForFieldName('default_value') || param.childForFieldName('value') ||
+            (param.type === 'assignment_pattern' ? param.childForFieldName('right') : null) ||
+            param.namedChildren.find(child => child.type === 'equals_value_clause')?.namedChildren[0];
+          const optional = param.type === 'optional_parameter' || Boolean(defaultNode);
+          const rest = getRestMarker(param);
+          const nameNodes = getChildrenForFieldName(spreadDeclarator || param, 'name');
+          if (nameNodes.length === 0) {
+            // Typed Python parameters keep their name as the first child
+            nameNodes.push(param.childForFieldName('pattern') || param.childForFieldName('declarator') || param.childForFieldName('left') ||
+              (param.type === 'typed_parameter' ? param.namedChildren[0] : param));
           }
-        } else if (node.type === 'function' || node.type === 'arrow_function') {
-          // Try to infer the name from context
-          name = inferFunctionName(node);
-        }
-
-        // Only add significant functions
-        if (isSignificantFunction(node, name)) {
-          functions.push({
-            name,
-            parent: parentFunction,
-            position: getPosition(node),
-            code: node.text
+          return nameNodes.map(nameNode => {
+            // The marker is kept apart from the name ('...rest' is 'rest' with the '...' marker)
+            const name = getDeclaredName(nameNode);
+            return { name: rest && name.startsWith(rest) ? name.slice(rest.length) : name, type, optional, defaultValue: defaultNode?.text || null, rest };
           });
-        }
+        });
+
+      if (variadicNodes.length === 2) {
+        parameters.push({ name: variadicNodes[1].text, type: variadicNodes[0].text, optional: false, defaultValue: null, rest: 'params' });
       }
+      return parameters;
+    };
 
-      // Find variable declarations
-      const variableNodes = rootNode.descendantsOfType([
-        'variable_declaration',
-        'lexical_declaration'
-      ]);
-
-      for (const node of variableNodes) {
-        const declarators = node.descendantsOfType('variable_declarator');
-        for (const declarator of declarators) {
-          const nameNode = declarator.childForFieldName('name');
-          if (nameNode) {
-            variables.push({
-              name: nameNode.text,
-              kind: node.childForFieldName('kind')?.text || 'var',
-              position: getPosition(declarator),
-              code: declarator.text
-            });
-          }
-        }
+    // Helper to get the return type of a function or interface method
+    const getReturnType = (node) => {
+      const field = RETURN_TYPE_FIELDS.find(fieldName => node.childForFieldName(fieldName));
+      return field ? getTypeAnnotation(node, field) : null;
+    };
+
+    // Helper to collect decorators attached to a class, method or field
+    const getDecorators = (node) => {
+      const decorators = node.namedChildren
+        .filter(child => child.type === 'decorator')
+        .map(child => child.text);
+
+      // Method decorators (and decorators of exported classes) are preceding siblings
+      let sibling = node.previousNamedSibling;
+      while (sibling?.type === 'decorator') {
+        decorators.unshift(sibling.text);
+        sibling = sibling.previousNamedSibling;
       }
 
-      // Find class declarations
-      const classNodes = rootNode.descendantsOfType('class_declaration');
+      return decorators;
+    };
 
-      for (const node of classNodes) {
-        const nameNode = node.childForFieldName('name');
-        if (nameNode) {
-          const className = nameNode.text;
+    // Helper to strip the quotes of string names and sources ('./x', "fmt", <stdio.h>)
+    const unquote = (text) => text.replace(/^['"`<]|['"`>]$/g, '');
 
-          // Get class members
-          const methods = [];
-          const methodNodes = node.descendantsOfType('method_definition');
+    // Helper to get the value of a string literal, without its quotes and prefix (r"^orders/$")
+    const unquoteString = (text) => unquote(text.replace(/^[a-zA-Z]+(?=['"])/, ''));
 
-          for (const methodNode of methodNodes) {
-            const methodNameNode = methodNode.childForFieldName('name');
-            if (methodNameNode) {
-              methods.push({
-                name: methodNameNode.text,
-                position: getPosition(methodNode),
-                isStatic: methodNode.childForFieldName('static')?.text === 'static',
-                code: methodNode.text
-              });
-            }
-          }
+    const nodeKey = (node) => `${node.startIndex}:${node.endIndex}:${node.type}`;
 
-          classes.push({
-            name: className,
-            position: getPosition(node),
-            methods,
-            code: node.text
-          });
-        }
+    // Run the language's query; each match maps capture names to the first node captured under them, along with
+    // the properties its pattern sets with '#set!'
+    const query = languageQueries[wasmFile];
+    const matches = query.matches(rootNode).map(match => {
+      const captures = {};
+      for (const { name, node } of match.captures) {
+        if (!(name in captures)) captures[name] = node;
       }
+      return { pattern: match.pattern, captures, properties: query.patternProperties[match.pattern] || {} };
+    });
 
-      // Find imports
-      const importNodes = rootNode.descendantsOfType('import_statement');
-
-      for (const node of importNodes) {
-        const sourceNode = node.childForFieldName('source');
-        if (sourceNode) {
-          const source = sourceNode.text.replace(/['"]/g, '');
-          const importedItems = [];
+    // Definitions by node: when several patterns match the same node, the first pattern wins. '@scope' alone
+    // marks a node owning the functions inside it without defining a symbol (Rust impl blocks)
+    const definitions = new Map();
+    const importNodes = new Map();
+    const flags = new Map();
+    const docNodes = [];
+    for (const { pattern, captures } of matches) {
+      if (captures.import) {
+        importNodes.set(nodeKey(captures.import), captures.import);
+      }
 
-          const specifiers = node.descendantsOfType([
-            'import_specifier',
-            'namespace_import'
-          ]);
+      // Flags add up across patterns ('@flag.async' and '@flag.generator' on the same function)
+      for (const [name, flagNode] of Object.entries(captures)) {
+        if (!name.startsWith('flag.')) continue;
+        const key = nodeKey(flagNode);
+        if (!flags.has(key)) flags.set(key, new Set());
+        flags.get(key).add(name.slice('flag.'.length));
+      }
+      if (captures.doc) {
+        docNodes.push(captures.doc);
+      }
 
-          for (const specNode of specifiers) {
-            if (specNode.type === 'import_specifier') {
-              const nameNode = specNode.childForFieldName('name');
-              const aliasNode = specNode.childForFieldName('alias');
+      const definitionCapture = Object.keys(captures).find(name => name.startsWith('definition.'));
+      const node = definitionCapture ? captures[definitionCapture] : captures.scope;
+      if (!node) continue;
+
+      const key = nodeKey(node);
+      if (definitions.has(key) && definitions.get(key).pattern <= pattern) continue;
+      definitions.set(key, {
+        pattern,
+        node,
+        captures,
+        category: definitionCapture ? DEFINITION_CATEGORIES[definitionCapture.slice('definition.'.length)] || null : null,
+        kind: definitionCapture?.slice('definition.'.length) || null,
+        name: null,
+        record: null
+      });
+    }
 
-              if (nameNode) {
-                importedItems.push({
-                  name: nameNode.text,
-                  alias: aliasNode ? aliasNode.text : null
-                });
-              }
-            } else if (specNode.type === 'namespace_import') {
-              const nameNode = specNode.childForFieldName('name');
-              if (nameNode) {
-                importedItems.push({
-                  name: '*',
-                  alias: nameNode.text
-                });
-              }
-            }
-          }
+    // Helper to find the innermost definition enclosing a node
+    const getEnclosingDefinition = (node) => {
+      for (let current = node.parent; current; current = current.parent) {
+        const definition = definitions.get(nodeKey(current));
+        if (definition) return definition;
+      }
+      return null;
+    };
 
-          // Check for default imports
-          const defaultImportNode = node.descendantsOfType('identifier')[0];
-          if (defaultImportNode && !specifiers.length) {
-            importedItems.push({
-              name: 'default',
-              alias: defaultImportNode.text
-            });
-          }
+    // Docstrings document the innermost definition around them (Python)
+    const docstrings = new Map();
+    for (const docNode of docNodes) {
+      const definition = getEnclosingDefinition(docNode);
+      if (definition && !docstrings.has(nodeKey(definition.node))) {
+        docstrings.set(nodeKey(definition.node), cleanDocstring(docNode.text));
+      }
+    }
 
-          imports.push({
-            source,
-            items: importedItems,
-            position: getPosition(node),
-            code: node.text
-          });
-        }
+    // Helper to get the documentation of a definition: its docstring, or the doc comment directly above it
+    const lines = fileContent.split(/\r?\n/);
+    const getDocumentation = (key, node) => docstrings.get(key) ?? getDocComment(lines, rootNode, getPosition(node), node);
+
+    // Helper to find the definition a function belongs to: the class, interface or enum it is declared in, or
+    // an explicit '@scope' (namespaces are transparent unless they are scopes; nested functions have no owner)
+    const getOwnerDefinition = (node) => {
+      for (let definition = getEnclosingDefinition(node); definition; definition = getEnclosingDefinition(definition.node)) {
+        if (definition.captures.scope) return definition;
+        if (definition.category === 'functions') return null;
+        if (['classes', 'interfaces', 'enums'].includes(definition.category)) return definition;
       }
+      return null;
+    };
 
-      // Find exports
-      const exportNodes = rootNode.descendantsOfType([
-        'export_statement',
-        'lexical_declaration',
-        'function_declaration'
-      ]);
+    // Functions too insignificant to be recorded are still measured as part of the function around them
+    const functionKeys = new Set([...definitions].filter(([, definition]) => definition.category === 'functions').map(([key]) => key));
 
-      for (const node of exportNodes) {
-        if (node.type === 'export_statement') {
-          const sourceNode = node.childForFieldName('source');
-          const source = sourceNode ? sourceNode.text.replace(/['"]/g, '') : null;
+    // Add the symbols in document order, so owners are recorded before the definitions inside them
+    const methods = [];
+    const orderedDefinitions = [...definitions.entries()]
+      .sort(([, a], [, b]) => a.node.startIndex - b.node.startIndex || b.node.endIndex - a.node.endIndex);
 
-          const exportedItems = [];
-          const specifiers = node.descendantsOfType('export_specifier');
+    for (const [key, definition] of orderedDefinitions) {
+      const { node, captures, category } = definition;
+      let nameNode = captures.name;
 
-          for (const specNode of specifiers) {
-            const nameNode = specNode.childForFieldName('name');
-            const aliasNode = specNode.childForFieldName('alias');
+      if (category === 'functions') {
+        let parent = captures.owner?.text || null;
+        // Case: out-of-line definitions (void ns::Type::method() {...}) are owned by the innermost scope
+        while (nameNode?.childForFieldName('scope') && nameNode.childForFieldName('name')) {
+          parent = nameNode.childForFieldName('scope').text;
+          nameNode = nameNode.childForFieldName('name');
+        }
+        const name = nameNode ? unquote(nameNode.text) : 'anonymous';
+        const ownerDefinition = parent ? null : getOwnerDefinition(node);
+        parent = parent || ownerDefinition?.name || null;
+
+        // Interface methods without a body are listed as members of the interface
+        if ((ownerDefinition?.category === 'interfaces' && !node.childForFieldName('body')) || !isSignificantFunction(node, name)) {
+          definitions.delete(key);
+          continue;
+        }
 
-            if (nameNode) {
-              exportedItems.push({
-                name: nameNode.text,
-                alias: aliasNode ? aliasNode.text : null
-              });
+        const parameters = getParameters(node);
+        const returnType = getReturnType(node);
+        const functionFlags = flags.get(key) || new Set();
+        const modifiers = {
+          isStatic: Boolean(captures.static),
+          isClassMethod: functionFlags.has('classmethod'),
+          isAsync: functionFlags.has('async'),
+          isGenerator: functionFlags.has('generator'),
+          isGetter: functionFlags.has('getter'),
+          isSetter: functionFlags.has('setter')
+        };
+        const docComment = getDocumentation(key, node);
+        definition.name = name;
+        definition.record = {
+          name,
+          parent,
+          position: getPosition(node),
+          parameters,
+          returnType,
+          typeParameters: node.childForFieldName('type_parameters')?.text || null,
+          ...modifiers,
+          decorators: getDecorators(node),
+          docComment,
+          calls: []
+        };
+        functions.push(definition.record);
+
+        if (parent) {
+          methods.push({
+            parent,
+            method: {
+              name,
+              position: getPosition(node),
+              ...modifiers,
+              parameters,
+              returnType,
+              decorators: getDecorators(node),
+              docComment
             }
-          }
-
-          exports.push({
-            source,
-            items: exportedItems,
-            isDefault: node.childForFieldName('default')?.text === 'default',
-            position: getPosition(node),
-            code: node.text
           });
-        } else {
-          // Check for export modifier on declaration
-          const parent = node.parent;
-          if (parent?.type === 'export_statement') {
-            let name = '';
-            if (node.type === 'function_declaration') {
-              const nameNode = node.childForFieldName('name');
-              if (nameNode) name = nameNode.text;
-            } else if (node.type === 'lexical_declaration') {
-              const declarator = node.descendantsOfType('variable_declarator')[0];
-              if (declarator) {
-                const nameNode = declarator.childForFieldName('name');
-                if (nameNode) name = nameNode.text;
-              }
-            }
-
-            if (name) {
-              exports.push({
-                source: null,
-                items: [{ name, alias: null }],
-                isDefault: parent.childForFieldName('default')?.text === 'default',
-                position: getPosition(parent),
-                code: parent.text
-              });
-            }
-          }
         }
+        continue;
+      }
+
+      if (!nameNode) {
+        definitions.delete(key);
+        continue;
       }
-    } else if (wasmFile === 'tree-sitter-python.wasm') {
-      // Process Python
+      definition.name = unquote(nameNode.text);
+
+      const name = definition.name;
+      const position = getPosition(node);
+      const typeParameters = node.childForFieldName('type_parameters')?.text || null;
+      if (category === 'classes') {
+        definition.record = { name, kind: definition.kind, position, methods: [], typeParameters, decorators: getDecorators(node), docComment: getDocumentation(key, node) };
+        classes.push(definition.record);
+      } else if (category === 'interfaces') {
+        definition.record = { name, position, typeParameters, extends: [], members: [] };
+        interfaces.push(definition.record);
+      } else if (category === 'enums') {
+        definition.record = { name, position, isConst: node.children.some(child => child.type === 'const'), members: [] };
+        enums.push(definition.record);
+      } else if (category === 'types') {
+        const valueNode = node.childForFieldName('value') || node.childForFieldName('type');
+        definition.record = { name, position, typeParameters, value: valueNode?.text || null };
+        types.push(definition.record);
+      } else if (category === 'namespaces') {
+        definition.record = { name, position };
+        namespaces.push(definition.record);
+      } else if (category === 'variables') {
+        // Fields belong to the class whose body declares them
+        const parent = definition.kind === 'field' ? getOwnerDefinition(node)?.name || null : null;
+        definition.record = { name, kind: captures.kind?.text || (definition.kind === 'field' ? 'field' : 'var'), parent, type: getTypeAnnotation(node, 'type'), position };
+        variables.push(definition.record);
+      }
+    }
 
-      // Find function declarations
-      const functionNodes = rootNode.descendantsOfType('function_definition');
+    // Attach methods to the classes of this file they belong to (Go receivers, Rust impl blocks, C++ 'Type::method')
+    for (const { parent, method } of methods) {
+      classes.find(c => c.name === parent)?.methods.push(method);
+    }
 
-      for (const node of functionNodes) {
-        // Get function name
-        let name = 'anonymous';
-        let parentFunction = null;
+    // Helper to get the import node a match belongs to: its '@import' capture, or the import enclosing its items
+    const getImportNode = (captures, itemNode) => {
+      if (captures.import) return captures.import;
+      for (let current = itemNode.parent; current; current = current.parent) {
+        const importNode = importNodes.get(nodeKey(current));
+        if (importNode) return importNode;
+      }
+      return null;
+    };
 
-        const nameNode = node.childForFieldName('name');
-        if (nameNode) name = nameNode.text;
+    // Helper to get the qualified path of an imported item, including the paths of the use lists enclosing it
+    // (Rust 'use a::{b::{c}}') and an explicit '@import.prefix' (PHP 'use A\{B}')
+    const getQualifiedImportPath = (pathNode, importNode, prefixNode) => {
+      let qualified = pathNode.text;
+      let child = pathNode;
+      for (let current = pathNode.parent; current && !isSameNode(current, importNode); current = current.parent) {
+        const listPath = current.childForFieldName('path');
+        if (listPath && !isSameNode(listPath, child)) {
+          qualified = current.text.slice(0, current.text.length - child.text.length) + qualified;
+        }
+        child = current;
+      }
+      if (prefixNode) {
+        const separator = fileContent.slice(prefixNode.endIndex).match(/^\s*(::|\\|\.)/)?.[1] || '.';
+        qualified = `${prefixNode.text}${separator}${qualified}`;
+      }
+      return qualified.replace(/^\\/, '');
+    };
 
-        // Check if this is a class method
-        const parent = node.parent?.parent;
-        if (parent?.type === 'class_definition') {
-          const classNameNode = parent.childForFieldName('name');
-          if (classNameNode) parentFunction = classNameNode.text;
+    // JavaScript imports and exports are ES modules unless their pattern marks them CommonJS
+    const defaultModuleSystem = ['javascript', 'typescript'].includes(getLanguageName(filePath)) ? 'esm' : null;
+
+    // Add members, extended types, calls, imports, exports and entities
+    const importRecords = new Map();
+    const exportRecords = new Map();
+    const entityRecords = new Map();
+    const memberKeys = new Set();
+    const callOffsets = new Map();
+    for (const { captures, properties } of matches) {
+      const entityCapture = Object.keys(captures).find(name => name.startsWith('entity.') && !ENTITY_FIELDS.includes(name.slice('entity.'.length)));
+      if (entityCapture) {
+        // Entities matched by several patterns (a route and its method list) add up into one record
+        const entityNode = captures[entityCapture];
+        const recordKey = nodeKey(entityNode);
+        if (!entityRecords.has(recordKey)) {
+          entityRecords.set(recordKey, {
+            node: entityNode,
+            defaultMethod: null,
+            record: {
+              kind: entityCapture.slice('entity.'.length),
+              name: captures.name?.text || null,
+              methods: [],
+              path: null,
+              handler: null,
+              hooks: [],
+              position: getPosition(entityNode)
+            }
+          });
         }
 
-        functions.push({
-          name,
-          parent: parentFunction,
-          position: getPosition(node),
-          code: node.text
-        });
+        const entity = entityRecords.get(recordKey);
+        const method = captures['entity.method'] ? unquote(captures['entity.method'].text).toUpperCase() : null;
+        if (method && !entity.record.methods.includes(method)) entity.record.methods.push(method);
+        if (properties.default_method) entity.defaultMethod = properties.default_method;
+        if (captures['entity.path']) entity.record.path = unquoteString(captures['entity.path'].text);
+        if (captures['entity.handler']) entity.record.handler = captures['entity.handler'].text;
+        if (captures.name && !entity.record.name) entity.record.name = captures.name.text;
+        continue;
       }
 
-      // Find variable assignments (global and class level)
-      const assignmentNodes = rootNode.descendantsOfType('assignment');
-
-      for (const node of assignmentNodes) {
-        // Only consider top-level or class-level assignments
-        const parent = node.parent;
-        if (parent?.type === 'module' || parent?.type === 'block' && parent.parent?.type === 'class_definition') {
-          const left = node.childForFieldName('left');
-          if (left && left.type === 'identifier') {
-            variables.push({
-              name: left.text,
-              kind: 'var', // Python doesn't have explicit variable declarations
-              position: getPosition(node),
-              code: node.text
-            });
-          }
+      const memberCapture = Object.keys(captures).find(name => name.startsWith('member.'));
+      if (memberCapture) {
+        const memberNode = captures[memberCapture];
+        const owner = getEnclosingDefinition(memberNode)?.record;
+        const nameNode = captures.name || memberNode.childForFieldName('name');
+        if (!owner?.members || !nameNode || memberKeys.has(nodeKey(memberNode))) continue;
+        memberKeys.add(nodeKey(memberNode));
+
+        const kind = memberCapture.slice('member.'.length);
+        const optional = memberNode.children.some(child => child.type === '?');
+        if (kind === 'enum') {
+          owner.members.push({ name: unquote(nameNode.text), value: memberNode.childForFieldName('value')?.text || null });
+        } else if (kind === 'property') {
+          owner.members.push({ name: nameNode.text, kind, type: getTypeAnnotation(memberNode, 'type'), optional });
+        } else {
+          owner.members.push({ name: nameNode.text, kind: 'method', parameters: getParameters(memberNode), returnType: getReturnType(memberNode), optional });
         }
+        continue;
       }
 
-      // Find class declarations
-      const classNodes = rootNode.descendantsOfType('class_definition');
-
-      for (const node of classNodes) {
-        const nameNode = node.childForFieldName('name');
-        if (nameNode) {
-          const className = nameNode.text;
-
-          // Get class methods
-          const methods = [];
-          const methodNodes = node.descendantsOfType('function_definition');
-
-          for (const methodNode of methodNodes) {
-            const methodNameNode = methodNode.childForFieldName('name');
-            if (methodNameNode) {
-              // Check if method is static (has @staticmethod decorator)
-              let isStatic = false;
-              const decorators = methodNode.childForFieldName('decorator_list');
-              if (decorators) {
-                const decoratorNodes = decorators.children;
-                for (const decorator of decoratorNodes) {
-                  if (decorator.text === '@staticmethod') {
-                    isStatic = true;
-                    break;
-                  }
-                }
-              }
+      if (captures.extends) {
+        getEnclosingDefinition(captures.extends)?.record?.extends?.push(captures.extends.text);
+        continue;
+      }
 
-              methods.push({
-                name: methodNameNode.text,
-                position: getPosition(methodNode),
-                isStatic,
-                code: methodNode.text
-              });
-            }
+      if (captures['reference.call'] && captures.name) {
+        // Calls belong to the innermost function recorded around them
+        const callNode = captures['reference.call'];
+        let caller = getEnclosingDefinition(callNode);
+        while (caller && caller.category !== 'functions') {
+          caller = getEnclosingDefinition(caller.node);
+        }
+        if (!caller) continue;
+
+        const receiverText = captures.receiver?.text;
+        const call = {
+          name: captures.name.text,
+          receiver: receiverText === undefined ? null : /^[\w$.:\\]+$/.test(receiverText) ? receiverText : '<expression>',
+          line: callNode.startPosition.row + 1,
+          source: null,
+          importedName: null
+        };
+        caller.record.calls.push(call);
+        callOffsets.set(call, [callNode.startIndex, callNode.endIndex]);
+        continue;
+      }
+
+      const pathNode = captures['import.path'];
+      const sourceNode = captures['import.source'] || captures['import.file'];
+      if (captures.import || pathNode || sourceNode) {
+        const importNode = getImportNode(captures, pathNode || sourceNode);
+        if (!importNode || !(pathNode || sourceNode)) continue;
+
+        let source;
+        let pathName = null;
+        if (pathNode) {
+          // Split the qualified path at its last separator: the module and the imported name
+          const qualified = getQualifiedImportPath(pathNode, importNode, captures['import.prefix']);
+          const [separator, index] = IMPORT_PATH_SEPARATORS
+            .map(candidate => [candidate, qualified.lastIndexOf(candidate)])
+            .reduce((last, current) => current[1] > last[1] ? current : last);
+          source = index === -1 ? qualified : qualified.slice(0, index);
+          pathName = index === -1 ? 'module' : qualified.slice(index + separator.length);
+          // 'use a::{self}' imports the module itself
+          if (pathName === 'self') pathName = 'module';
+        } else {
+          source = unquote(sourceNode.text);
+          // Case: require_relative 'x' or __DIR__ . '/x.php' (paths relative to the importing file)
+          if (captures['import.file'] && !source.startsWith('.')) {
+            source = source.startsWith('/') ? `.${source}` : `./${source}`;
           }
+        }
 
-          classes.push({
-            name: className,
-            position: getPosition(node),
-            methods,
-            code: node.text
+        const recordKey = `${nodeKey(importNode)}\0${source}`;
+        if (!importRecords.has(recordKey)) {
+          importRecords.set(recordKey, {
+            source,
+            items: [],
+            moduleSystem: defaultModuleSystem,
+            isDynamic: false,
+            position: getPosition(importNode)
           });
         }
+        const record = importRecords.get(recordKey);
+        if (captures['import.commonjs']) record.moduleSystem = 'commonjs';
+        if (captures['import.dynamic']) record.isDynamic = true;
+
+        const aliasText = captures['import.alias']?.text || null;
+        const itemName = captures['import.wildcard'] ? '*'
+          : captures['import.default'] ? 'default'
+          : captures['import.module'] ? 'module'
+          : captures['import.name']?.text || pathName;
+        // Case: const a = require('x').a binds the name it imports
+        const alias = aliasText === itemName ? null : aliasText;
+        if (itemName && !record.items.some(item => item.name === itemName && item.alias === alias)) {
+          record.items.push({ name: itemName, alias });
+        }
+        continue;
       }
 
-      // Find imports
-      const importNodes = rootNode.descendantsOfType(['import_statement', 'import_from_statement']);
+      if (captures.export) {
+        const exportNode = captures.export;
+        const recordKey = nodeKey(exportNode);
+        if (!exportRecords.has(recordKey)) {
+          exportRecords.set(recordKey, {
+            source: null,
+            items: [],
+            isDefault: false,
+            moduleSystem: defaultModuleSystem,
+            position: getPosition(exportNode)
+          });
+        }
 
-      for (const node of importNodes) {
-        if (node.type === 'import_statement') {
-          // Case: import module [as alias]
-          const namesNode = node.childForFieldName('names');
-          if (namesNode) {
-            const importedModules = namesNode.descendantsOfType('dotted_name');
+        const record = exportRecords.get(recordKey);
+        if (captures['export.commonjs']) record.moduleSystem = 'commonjs';
+        if (captures['export.source']) record.source = unquote(captures['export.source'].text);
+        if (captures['export.default']) record.isDefault = true;
+        // Names can be strings (Python __all__ lists)
+        const exportName = captures['export.name'] ? unquote(captures['export.name'].text) : null;
+        const alias = captures['export.alias']?.text || null;
+        if (exportName && !record.items.some(item => item.name === exportName && item.alias === alias)) {
+          record.items.push({ name: exportName, alias });
+        }
+      }
+    }
 
-            for (const moduleNode of importedModules) {
-              const moduleName = moduleNode.text;
-              const aliasNode = moduleNode.nextNamedSibling;
+    imports.push(...importRecords.values());
+    exports.push(...exportRecords.values());
 
-              imports.push({
-                source: moduleName,
-                items: [{
-                  name: 'module',
-                  alias: aliasNode ? aliasNode.text : null
-                }],
-                position: getPosition(node),
-                code: node.text
-              });
-            }
-          }
-        } else if (node.type === 'import_from_statement') {
-          // Case: from module import name [as alias], ...
-          const moduleNode = node.childForFieldName('module');
-          const namesNode = node.childForFieldName('names');
-
-          if (moduleNode && namesNode) {
-            const moduleName = moduleNode.text;
-            const importedItems = [];
-
-            const importedNames = namesNode.namedChildren;
-            for (const nameNode of importedNames) {
-              if (nameNode.type === 'aliased_import') {
-                const name = nameNode.childForFieldName('name')?.text;
-                const alias = nameNode.childForFieldName('alias')?.text;
-
-                if (name) {
-                  importedItems.push({
-                    name,
-                    alias
-                  });
-                }
-              } else if (nameNode.type === 'identifier') {
-                importedItems.push({
-                  name: nameNode.text,
-                  alias: null
-                });
-              }
-            }
+    // Routes are named after their methods and path ('GET /orders'); components and hooks list the hooks they call
+    for (const { node, defaultMethod, record } of entityRecords.values()) {
+      if (record.path !== null) {
+        if (record.methods.length === 0) record.methods.push(defaultMethod || 'ANY');
+        record.name = `${record.methods.join(',')} ${record.path}`;
+      }
+      const fn = definitions.get(nodeKey(node))?.record;
+      if (fn?.calls) {
+        record.hooks = [...new Set(fn.calls.filter(call => REACT_HOOK_NAME.test(call.name)).map(call => call.name))];
+      }
+      if (record.name) entities.push(record);
+    }
+    // Measure the functions and the file: size, parameters, complexity and nesting
+    const codeRows = getCodeRows(rootNode);
+    const countCodeLines = (node) => {
+      let count = 0;
+      for (let row = node.startPosition.row; row <= node.endPosition.row; row++) {
+        if (codeRows.has(row)) count++;
+      }
+      return count;
+    };
+    // Languages whose query has no '@metric.*' captures get no complexity metrics (null)
+    const measuresComplexity = getMetricQuery(wasmFile) !== null;
+    const metricRoles = measuresComplexity && functions.length > 0 ? getMetricRoles(rootNode, wasmFile, nodeKey) : new Map();
+    const getRoles = (node) => metricRoles.get(nodeKey(node)) || {};
+    const getNestedFunctionKind = (node) => {
+      const key = nodeKey(node);
+      if (definitions.get(key)?.category === 'functions' && definitions.get(key).record) return 'recorded';
+      return functionKeys.has(key) || getRoles(node).inline ? 'inline' : null;
+    };
+    const initialComplexity = measuresComplexity ? 0 : null;
+    const metrics = {
+      lines: fileContent.endsWith('\n') ? lines.length - 1 : lines.length,
+      codeLines: codeRows.size,
+      functions: functions.length,
+      cyclomatic: initialComplexity,
+      maxCyclomatic: initialComplexity,
+      cognitive: initialComplexity,
+      maxCognitive: initialComplexity,
+      maxNesting: initialComplexity,
+      maxParameters: 0
+    };
+    for (const definition of definitions.values()) {
+      if (definition.category !== 'functions' || !definition.record) continue;
+      const { node, record } = definition;
+      record.metrics = {
+        lines: node.endPosition.row - node.startPosition.row + 1,
+        codeLines: countCodeLines(node),
+        parameters: record.parameters.length,
+        ...(measuresComplexity ? measureComplexity(node, getNestedFunctionKind, getRoles) : { cyclomatic: null, cognitive: null, maxNesting: null })
+      };
+      metrics.maxParameters = Math.max(metrics.maxParameters, record.metrics.parameters);
+      if (!measuresComplexity) continue;
+      metrics.cyclomatic += record.metrics.cyclomatic;
+      metrics.maxCyclomatic = Math.max(metrics.maxCyclomatic, record.metrics.cyclomatic);
+      metrics.cognitive += record.metrics.cognitive;
+      metrics.maxCognitive = Math.max(metrics.maxCognitive, record.metrics.cognitive);
+      metrics.maxNesting = Math.max(metrics.maxNesting, record.metrics.maxNesting);
+    }
 
-            imports.push({
-              source: moduleName,
-              items: importedItems,
-              position: getPosition(node),
-              code: node.text
-            });
-          }
+    // Calls are listed in source order, outer calls first (a.b().c())
+    for (const fn of functions) {
+      fn.calls.sort((a, b) => callOffsets.get(a)[0] - callOffsets.get(b)[0] || callOffsets.get(b)[1] - callOffsets.get(a)[1]);
+    }
+
+    // Link calls to imported names: the module they come from and their original name
+    const importedNames = new Map();
+    for (const imp of imports) {
+      for (const item of imp.items) {
+        if (item.name === '*' && !item.alias) continue; // Wildcard imports have no local name
+
+        // Namespace and module imports are used as call receivers (ns.foo(), os.path.join())
+        const isModule = item.name === '*' || item.name === 'module';
+        const localName = item.alias || (item.name === 'module' ? imp.source : item.name);
+        importedNames.set(localName, { source: imp.source, importedName: isModule ? null : item.name });
+      }
+    }
+
+    for (const fn of functions) {
+      for (const call of fn.calls) {
+        const imported = importedNames.get(call.receiver ?? call.name);
+        if (!imported) continue;
+
+        if (call.receiver === null) {
+          call.source = imported.source;
+          call.importedName = imported.importedName;
+        } else if (imported.importedName === null) {
+          call.source = imported.source;
         }
       }
     }
@@ -595,7 +1186,13 @@ async function extractCodeSymbols(filePath, fileContent) {
       variables,
       classes,
       imports,
-      exports
+      exports,
+      interfaces,
+      types,
+      enums,
+      namespaces,
+      entities,
+      metrics
     };
   } catch (error) {
     console.error(`Error parsing ${filePath}: ${error.message}`);
@@ -603,77 +1200,398 @@ async function extractCodeSymbols(filePath, fileContent) {
   }
 }
 
-// Function to parse .gitignore file
-function parseGitignore(gitignorePath) {
-  if (!fs.existsSync(gitignorePath)) {
-    return [];
+// Function to convert a gitignore glob into a regular expression source matching slash-separated relative paths
+function ignoreGlobToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+        // '**' as a whole segment: 'a/**' matches everything inside a, '**/' zero or more directories
+        source += i + 2 === glob.length ? '.*' : '(?:.*/)?';
+        i += 2;
+        continue;
+      }
+      // Other consecutive asterisks are a regular '*'
+      while (glob[i + 1] === '*') i++;
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      // Character classes ([abc], [a-z], [!abc]); an unclosed bracket is a literal
+      let end = i + 1;
+      if (glob[end] === '!' || glob[end] === '^') end++;
+      if (glob[end] === ']') end++;
+      while (end < glob.length && glob[end] !== ']') end++;
+      if (end >= glob.length) {
+        source += '\\[';
+        continue;
+      }
+      const body = glob.slice(i + 1, end).replace(/^[!^]/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
   }
+  return source;
+}
 
-  try {
-    const content = fs.readFileSync(gitignorePath, 'utf8');
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'))
-      .map(pattern => {
-        // Common patterns we want to handle explicitly
-        if (pattern === 'node_modules' || pattern === 'node_modules/') {
-          return '^node_modules($|/)';
-        }
+// Function to compile one line of a gitignore-style file into a rule, relative to the directory it applies to
+function compileIgnorePattern(line, baseDir) {
+  let pattern = line.replace(/\r$/, '');
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
 
-        // Remove trailing slashes (they mean directories in gitignore)
-        let processedPattern = pattern.replace(/\/+$/, '');
+  // Trailing spaces are ignored unless escaped with a backslash
+  while (pattern.endsWith(' ') && !pattern.endsWith('\\ ')) {
+    pattern = pattern.slice(0, -1);
+  }
 
-        // Handle leading slashes (anchors the pattern to the root)
-        const hasLeadingSlash = processedPattern.startsWith('/');
-        if (hasLeadingSlash) {
-          processedPattern = processedPattern.slice(1);
-        }
+  // Case: !pattern re-includes what a previous pattern excluded (\! and \# escape a literal leading character)
+  const negated = pattern.startsWith('!');
+  if (negated || pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
 
-        // Convert gitignore glob pattern to regex pattern
-        processedPattern = processedPattern
-          .replace(/\./g, '\\.') // Escape dots
-          .replace(/\*\*/g, '__DOUBLE_STAR__') // Temporarily replace **
-          .replace(/\*/g, '[^/]*') // * matches any character except /
-          .replace(/__DOUBLE_STAR__/g, '.*') // ** matches anything including /
-          .replace(/\?/g, '[^/]') // ? matches a single character except /
-          .replace(/\//g, '\\/'); // Escape forward slashes
+  // A trailing slash only matches directories
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+  if (!pattern) {
+    return null;
+  }
 
-        // If it had a leading slash, anchor it to the start
-        if (hasLeadingSlash) {
-          return `^${processedPattern}($|/.*)`;
-        }
+  // A slash at the start or in the middle anchors the pattern to the base directory; otherwise it matches at any level
+  const anchored = pattern.includes('/');
+  const source = ignoreGlobToRegex(pattern.replace(/^\//, ''));
+  return {
+    regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`),
+    negated,
+    directoryOnly,
+    baseDir
+  };
+}
 
-        // If no leading slash, match anywhere in path
-        return `(^|.*/|^/)${processedPattern}($|/.*)`;
-      });
-  } catch (error) {
-    console.error(`Error parsing .gitignore: ${error.message}`);
-    return [];
+// Function to read the rules of a gitignore-style file (.gitignore, .git/info/exclude, .contextignore)
+function parseIgnoreFile(ignoreFilePath, baseDir) {
+  try {
+    if (!fs.existsSync(ignoreFilePath)) {
+      return [];
+    }
+    return fs.readFileSync(ignoreFilePath, 'utf8')
+      .split('\n')
+      .map(line => compileIgnorePattern(line, baseDir))
+      .filter(Boolean);
+  } catch (error) {
+    console.error(`Error parsing ${ignoreFilePath}: ${error.message}`);
+    return [];
   }
 }
 
-// Function to check if a path should be ignored based on gitignore patterns
-function shouldIgnore(itemPath, ignorePatterns, rootPath) {
-  if (ignorePatterns.length === 0) {
-    return false;
+// Function to find the git work tree containing a directory and its git directory (a .git file points to it for worktrees)
+function findGitRepository(dirPath) {
+  for (let dir = path.resolve(dirPath); ; dir = path.dirname(dir)) {
+    const dotGit = path.join(dir, '.git');
+    if (fs.existsSync(dotGit)) {
+      let gitDir = dotGit;
+      if (fs.statSync(dotGit).isFile()) {
+        const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+        gitDir = match ? path.resolve(dir, match[1].trim()) : null;
+      }
+      return { workTree: dir, gitDir };
+    }
+    if (path.dirname(dir) === dir) {
+      return null;
+    }
+  }
+}
+
+// Function to get the global excludes file: core.excludesFile from the user's git config, or $XDG_CONFIG_HOME/git/ignore
+function getGlobalExcludesFile() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  let excludesFile = path.join(configHome, 'git', 'ignore');
+
+  // ~/.gitconfig is read after the XDG config file, so it takes precedence
+  for (const configPath of [path.join(configHome, 'git', 'config'), path.join(os.homedir(), '.gitconfig')]) {
+    try {
+      if (!fs.existsSync(configPath)) continue;
+      let inCore = false;
+      for (const line of fs.readFileSync(configPath, 'utf8').split('\n')) {
+        const section = line.match(/^\s*\[([^\]]+)\]/);
+        if (section) {
+          inCore = section[1].trim().toLowerCase() === 'core';
+          continue;
+        }
+        const setting = inCore && line.match(/^\s*excludesfile\s*=\s*(.+?)\s*$/i);
+        if (setting) {
+          const value = setting[1].replace(/^"(.*)"$/, '$1');
+          excludesFile = value.startsWith('~/') ? path.join(os.homedir(), value.slice(2)) : value;
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading git config ${configPath}: ${error.message}`);
+    }
+  }
+
+  return excludesFile;
+}
+
+// Maximum number of commits read to find the last commit of each file
+const GIT_LOG_LIMIT = 2000;
+
+// Names of the status letters of 'git status' and 'git diff --name-status'
+const GIT_STATUS_NAMES = {
+  M: 'modified',
+  T: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'conflicted',
+  '?': 'untracked'
+};
+
+// Function to run a git command in a directory and return its output, or null when git is missing or the command fails
+function runGit(cwd, args) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (error) {
+    console.error(`Error running git ${args[0]} in ${cwd}: ${error.stderr?.toString().trim() || error.message}`);
+    return null;
+  }
+}
+
+// Function to get the uncommitted changes of the files below a directory: their status, and whether they are staged
+// and have unstaged changes. Paths are absolute (git reports them relative to the work tree)
+function getGitStatus(workTree, dirPath) {
+  const statuses = new Map();
+  const output = runGit(dirPath, ['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', '.']);
+  if (output === null) return statuses;
+
+  const fields = output.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.length < 4) continue;
+    const [x, y] = field;
+    // Renames and copies are followed by their original path
+    if (x === 'R' || x === 'C') i++;
+
+    const conflicted = x === 'U' || y === 'U' || (x === 'A' && y === 'A') || (x === 'D' && y === 'D');
+    statuses.set(path.join(workTree, field.slice(3)), {
+      status: conflicted ? 'conflicted' : GIT_STATUS_NAMES[x === ' ' ? y : x],
+      staged: x !== ' ' && x !== '?',
+      unstaged: y !== ' '
+    });
+  }
+  return statuses;
+}
+
+// Function to get the commit history of the files below a directory: the last commit of each file (within the last
+// GIT_LOG_LIMIT commits), and its churn over a window (commits, added and deleted lines)
+function getGitHistory(workTree, dirPath, churnDays) {
+  const history = new Map();
+  const getFileHistory = (relativePath) => {
+    const filePath = path.join(workTree, relativePath);
+    if (!history.has(filePath)) {
+      history.set(filePath, { lastCommit: null, churn: { commits: 0, added: 0, deleted: 0 } });
+    }
+    return history.get(filePath);
+  };
+
+  // Commits are listed newest first, so the first commit naming a file is its last one
+  const log = runGit(dirPath, ['log', `-n${GIT_LOG_LIMIT}`, '--no-renames', '--name-only', '--format=%x1e%h%x1f%aI%x1f%an%x1f%s', '--', '.']);
+  for (const block of (log || '').split('\x1e').slice(1)) {
+    const [header, ...names] = block.split('\n');
+    const [hash, date, author, subject] = header.split('\x1f');
+    for (const name of names.filter(Boolean)) {
+      const fileHistory = getFileHistory(name);
+      if (!fileHistory.lastCommit) fileHistory.lastCommit = { hash, date, author, subject };
+    }
+  }
+
+  const churnLog = runGit(dirPath, ['log', `--since=${churnDays}.days`, '--no-renames', '--numstat', '--format=%x1e', '--', '.']);
+  for (const block of (churnLog || '').split('\x1e').slice(1)) {
+    for (const line of block.split('\n')) {
+      const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+      if (!match) continue;
+      // Binary files have no line counts ('-')
+      const { churn } = getFileHistory(match[3]);
+      churn.commits++;
+      churn.added += match[1] === '-' ? 0 : Number(match[1]);
+      churn.deleted += match[2] === '-' ? 0 : Number(match[2]);
+    }
+  }
+  return history;
+}
+
+// Function to read the git state of a project: its branch and, for every file below it with uncommitted changes or
+// commits, its status, last commit and churn. Returns null outside a git repository or when git is not installed
+function getGitInfo(rootPath, { churnDays = 90 } = {}) {
+  const resolvedRoot = path.resolve(rootPath);
+  const repository = findGitRepository(resolvedRoot);
+  if (!repository) return null;
+
+  const branch = runGit(resolvedRoot, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  if (branch === null) return null;
+
+  const statuses = getGitStatus(repository.workTree, resolvedRoot);
+  const history = getGitHistory(repository.workTree, resolvedRoot, churnDays);
+  const files = new Map();
+  for (const filePath of new Set([...statuses.keys(), ...history.keys()])) {
+    files.set(filePath, {
+      status: statuses.get(filePath)?.status || null,
+      staged: statuses.get(filePath)?.staged || false,
+      unstaged: statuses.get(filePath)?.unstaged || false,
+      lastCommit: history.get(filePath)?.lastCommit || null,
+      churn: history.get(filePath)?.churn || { commits: 0, added: 0, deleted: 0 }
+    });
+  }
+
+  return {
+    workTree: repository.workTree,
+    branch: branch.trim(),
+    churnDays,
+    changedFiles: statuses.size,
+    files
+  };
+}
+
+// Function to get the files changed below a directory by a diff ('git diff <args>'), with their status and added and
+// deleted line counts. Untracked files are listed too when the diff reaches the working tree
+function getGitChangedFiles(workTree, dirPath, diffArgs, includeUntracked) {
+  const changes = new Map();
+  const nameStatus = runGit(dirPath, ['diff', '--name-status', '-z', '--no-renames', ...diffArgs, '--', '.']);
+  if (nameStatus === null) return null;
+  const fields = nameStatus.split('\0').filter(Boolean);
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    changes.set(path.join(workTree, fields[i + 1]), { status: GIT_STATUS_NAMES[fields[i][0]] || 'modified', added: 0, deleted: 0 });
+  }
+
+  const numstat = runGit(dirPath, ['diff', '--numstat', '-z', '--no-renames', ...diffArgs, '--', '.']) || '';
+  for (const field of numstat.split('\0')) {
+    const match = field.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    const change = match && changes.get(path.join(workTree, match[3]));
+    if (!change) continue;
+    change.added = match[1] === '-' ? 0 : Number(match[1]);
+    change.deleted = match[2] === '-' ? 0 : Number(match[2]);
+  }
+
+  if (includeUntracked) {
+    const untracked = runGit(dirPath, ['ls-files', '--others', '--exclude-standard', '--full-name', '-z', '--', '.']) || '';
+    for (const name of untracked.split('\0').filter(Boolean)) {
+      changes.set(path.join(workTree, name), { status: 'untracked', added: 0, deleted: 0 });
+    }
+  }
+  return changes;
+}
+
+// Function to get the line ranges a diff changed in the new version of each file, from its zero-context hunks. Pure
+// deletions touch the line they follow
+function getGitChangedLines(workTree, dirPath, diffArgs) {
+  const ranges = new Map();
+  const output = runGit(dirPath, ['diff', '-U0', '--no-renames', '--no-prefix', '--no-color', ...diffArgs, '--', '.']) || '';
+  let current = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const name = line.slice(4).replace(/\t$/, '');
+      current = name === '/dev/null' ? null : path.join(workTree, name);
+      if (current && !ranges.has(current)) ranges.set(current, []);
+      continue;
+    }
+    const hunk = current && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk) {
+      const start = Math.max(Number(hunk[1]), 1);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      ranges.get(current).push({ startLine: start, endLine: count === 0 ? start : start + count - 1 });
+    }
+  }
+  return ranges;
+}
+
+// Function to create the ignore rules of a project. Rules are checked from lowest to highest precedence, and the last
+// matching rule wins: built-in defaults (and hidden files), the global excludes file, .git/info/exclude, .gitignore files
+// from the outermost to the innermost directory (each relative to its own directory), .contextignore at the project
+// root, and finally the caller's patterns
+function createIgnoreRules(rootPath, { ignorePatterns = [], includeHidden = false, respectGitignore = true } = {}) {
+  const resolvedRoot = path.resolve(rootPath);
+  const repository = respectGitignore ? findGitRepository(resolvedRoot) : null;
+  // .gitignore files of parent directories apply when the project is a subdirectory of a repository
+  const gitignoreRoot = repository ? repository.workTree : resolvedRoot;
+
+  const baseRules = [...DEFAULT_IGNORE_PATTERNS, ...(includeHidden ? [] : ['.*']), '.git/']
+    .map(pattern => compileIgnorePattern(pattern, resolvedRoot));
+  if (repository) {
+    baseRules.push(...parseIgnoreFile(getGlobalExcludesFile(), repository.workTree));
+    if (repository.gitDir) {
+      baseRules.push(...parseIgnoreFile(path.join(repository.gitDir, 'info', 'exclude'), repository.workTree));
+    }
   }
 
-  // Get relative path for matching (always use forward slashes)
-  const relativePath = path.relative(rootPath, itemPath).replace(/\\/g, '/');
+  return {
+    rootPath: resolvedRoot,
+    respectGitignore,
+    gitignoreRoot,
+    baseRules,
+    projectRules: [
+      ...parseIgnoreFile(path.join(resolvedRoot, '.contextignore'), resolvedRoot),
+      ...ignorePatterns.map(pattern => compileIgnorePattern(pattern, resolvedRoot)).filter(Boolean)
+    ],
+    gitignoreRules: new Map(),
+    rulesByDirectory: new Map()
+  };
+}
 
-  // Add trailing slash for directories to match directory-specific patterns
-  const stats = fs.statSync(itemPath);
-  const pathToCheck = stats.isDirectory() ? `${relativePath}/` : relativePath;
+// Function to get the rules that apply to the entries of a directory, in precedence order
+function getDirectoryIgnoreRules(ignoreRules, dirPath) {
+  const resolvedDir = path.resolve(dirPath);
+  if (ignoreRules.rulesByDirectory.has(resolvedDir)) {
+    return ignoreRules.rulesByDirectory.get(resolvedDir);
+  }
 
-  // Name-only check for simple file matches
-  const itemName = path.basename(itemPath);
+  // .gitignore files from the repository (or project) root down to this directory
+  const directories = [];
+  if (ignoreRules.respectGitignore) {
+    for (let dir = resolvedDir; ; dir = path.dirname(dir)) {
+      directories.unshift(dir);
+      if (dir === ignoreRules.gitignoreRoot || path.dirname(dir) === dir) break;
+    }
+  }
 
-  // Check if the path matches any ignore pattern
-  return ignorePatterns.some(pattern => {
-    const regex = new RegExp(pattern);
-    return regex.test(pathToCheck) || regex.test(itemName);
+  const gitignoreRules = directories.flatMap(dir => {
+    if (!ignoreRules.gitignoreRules.has(dir)) {
+      ignoreRules.gitignoreRules.set(dir, parseIgnoreFile(path.join(dir, '.gitignore'), dir));
+    }
+    return ignoreRules.gitignoreRules.get(dir);
   });
+
+  const rules = [...ignoreRules.baseRules, ...gitignoreRules, ...ignoreRules.projectRules];
+  ignoreRules.rulesByDirectory.set(resolvedDir, rules);
+  return rules;
+}
+
+// Function to check if a file or directory is ignored. Directory walks skip ignored directories, so a path
+// is only checked once its parent directories are known to be included (git can't re-include inside them either)
+function isIgnored(ignoreRules, itemPath, isDirectory) {
+  let ignored = false;
+  for (const rule of getDirectoryIgnoreRules(ignoreRules, path.dirname(itemPath))) {
+    if (rule.directoryOnly && !isDirectory) continue;
+
+    const relativePath = path.relative(rule.baseDir, itemPath).replace(/\\/g, '/');
+    if (!relativePath || relativePath.startsWith('../')) continue;
+
+    if (rule.regex.test(relativePath)) {
+      ignored = !rule.negated;
+    }
+  }
+  return ignored;
 }
 
 // Function to check if file is supported for code analysis
@@ -683,18 +1601,15 @@ function isSupportedFile(filePath, customPatterns = null) {
     const fileName = path.basename(filePath);
     return customPatterns.some(pattern => {
       // Try to match as glob pattern
-      if (pattern.includes('*')) {
-        const regexPattern = pattern
-          .replace(/\./g, '\\.')
-          .replace(/\*/g, '.*');
-        return new RegExp(`^${regexPattern}$`).test(fileName);
+      if (/[*?[{]/.test(pattern)) {
+        return compileFileGlob(pattern).test(fileName);
       }
       // Check for extension match (with or without the dot)
       if (pattern.startsWith('.')) {
         return filePath.endsWith(pattern);
       }
-      // Match by extension without the dot
-      return path.extname(filePath).substring(1).toLowerCase() === pattern.toLowerCase();
+      // Match by extension without the dot, or by exact file name
+      return path.extname(filePath).substring(1).toLowerCase() === pattern.toLowerCase() || fileName === pattern;
     });
   }
 
@@ -703,6 +1618,78 @@ function isSupportedFile(filePath, customPatterns = null) {
   return ext in SUPPORTED_LANGUAGES;
 }
 
+// Function to expand the brace alternatives of a glob ('*.{ts,tsx}' becomes '*.ts' and '*.tsx'), innermost first
+function expandBraces(glob) {
+  const match = /\{([^{}]*,[^{}]*)\}/.exec(glob);
+  if (!match) {
+    return [glob];
+  }
+  const before = glob.slice(0, match.index);
+  const after = glob.slice(match.index + match[0].length);
+  return match[1].split(',').flatMap(alternative => expandBraces(before + alternative + after));
+}
+
+// Function to compile an include/exclude glob into a regex over root-relative paths. Globs with a slash are
+// anchored to the root ('src/**/*.ts'), others match at any level ('*.test.js')
+function compileFileGlob(glob) {
+  const sources = expandBraces(glob.replace(/^\.\//, '').replace(/\/+$/, '')).map(alternative => {
+    const source = ignoreGlobToRegex(alternative.replace(/^\//, ''));
+    return alternative.includes('/') ? source : `(?:.*/)?${source}`;
+  });
+  return new RegExp(`^(?:${sources.join('|')})$`);
+}
+
+// Function to create the file filter of a project from include/exclude globs ('!glob' in include excludes) and
+// the basename patterns that select the files to analyze
+function createFileFilter(rootPath, { include = [], exclude = [], filePatterns = null } = {}) {
+  const includeRegexes = [];
+  const excludeRegexes = exclude.map(compileFileGlob);
+  for (const pattern of include) {
+    if (pattern.startsWith('!')) {
+      excludeRegexes.push(compileFileGlob(pattern.slice(1)));
+    } else {
+      includeRegexes.push(compileFileGlob(pattern));
+    }
+  }
+
+  return {
+    rootPath: path.resolve(rootPath),
+    include: includeRegexes,
+    exclude: excludeRegexes,
+    filePatterns
+  };
+}
+
+// Function to check if a file or directory passes the include/exclude globs of a filter. Directories are only
+// excluded explicitly ('**/__tests__/**' excludes the directory itself); include globs select files
+function matchesFileFilter(fileFilter, itemPath, isDirectory) {
+  if (!fileFilter) {
+    return true;
+  }
+
+  const relativePath = path.relative(fileFilter.rootPath, itemPath).replace(/\\/g, '/');
+  if (fileFilter.exclude.some(regex => regex.test(relativePath) || (isDirectory && regex.test(`${relativePath}/`)))) {
+    return false;
+  }
+  return isDirectory || fileFilter.include.length === 0 || fileFilter.include.some(regex => regex.test(relativePath));
+}
+
+// Default patterns to ignore common directories and files (gitignore syntax, relative to the project root)
+const DEFAULT_IGNORE_PATTERNS = [
+  'node_modules/',
+  '*.log',
+  '*.tmp',
+  '*.temp',
+  '*.swp',
+  '.DS_Store',
+  '.vscode/',
+  '.idea/',
+  '.vs/',
+  '/dist/',
+  '/build/',
+  '/coverage/'
+];
+
 // Create parsers directory if it doesn't exist
 function ensureParsersDirectory() {
   const parsersDir = path.join(__dirname, 'parsers');
@@ -712,317 +1699,4268 @@ function ensureParsersDirectory() {
   return parsersDir;
 }
 
-// Function to recursively get directory structure and analyze JS files
-async function getDirectoryTree(dirPath, rootPath = dirPath, ignorePatterns = [], filePatterns = null, indent = '', analyzeJs = false, includeSymbols = false, symbolType = 'all', currentDepth = 0, maxDepth = 5) {
-  try {
-    if (!fs.existsSync(dirPath)) {
-      return `${indent}Path does not exist: ${dirPath}`;
-    }
-
-    // Default patterns to ignore common directories and files
-    const defaultIgnorePatterns = [
-      '^node_modules($|/)',
-      '^.git($|/)',
-      '\\.log$',
-      '\\.tmp$',
-      '\\.temp$',
-      '\\.swp$',
-      '\\.DS_Store$',
-      '\\.vscode($|/)',
-      '\\.idea($|/)',
-      '\\.vs($|/)',
-      '^dist($|/)',
-      '^build($|/)',
-      '^coverage($|/)'
-    ];
-
-    // Combine default patterns with any provided patterns
-    let allIgnorePatterns = [...defaultIgnorePatterns, ...ignorePatterns];
+// Function to get a human-readable language name for a file
+function getLanguageName(filePath) {
+  const wasmFile = getLanguageFromExtension(filePath);
+  if (!wasmFile) {
+    return null;
+  }
+  // TSX is reported as TypeScript
+  const language = wasmFile.replace(/^tree-sitter-/, '').replace(/\.wasm$/, '');
+  return { tsx: 'typescript', c_sharp: 'csharp' }[language] || language;
+}
 
-    // Check for .gitignore file in this directory
-    const gitignorePath = path.join(dirPath, '.gitignore');
-    if (fs.existsSync(gitignorePath)) {
-      const newPatterns = parseGitignore(gitignorePath);
-      allIgnorePatterns = [...allIgnorePatterns, ...newPatterns];
-    }
+// Function to recursively collect analyzable files, honoring the same ignore rules as the tree
+function collectSourceFiles(dirPath, rootPath = dirPath, ignoreRules = null, fileFilter = null, currentDepth = 0, maxDepth = 5) {
+  let files = [];
+  if (!fs.existsSync(dirPath) || currentDepth > maxDepth) {
+    return files;
+  }
 
-    let output = '';
-    const items = fs.readdirSync(dirPath);
+  const rules = ignoreRules || createIgnoreRules(rootPath);
 
-    for (let i = 0; i < items.length; i++) {
-      const itemName = items[i];
-      const itemPath = path.join(dirPath, itemName);
+  for (const itemName of fs.readdirSync(dirPath)) {
+    const itemPath = path.join(dirPath, itemName);
 
-      // Skip .gitignore files
-      if (itemName === '.gitignore') {
+    try {
+      const stats = fs.statSync(itemPath);
+      if (isIgnored(rules, itemPath, stats.isDirectory()) || !matchesFileFilter(fileFilter, itemPath, stats.isDirectory())) {
         continue;
       }
 
-      // Skip hidden files/directories
-      if (itemName.startsWith('.')) {
-        continue;
+      if (stats.isDirectory()) {
+        files = files.concat(collectSourceFiles(itemPath, rootPath, rules, fileFilter, currentDepth + 1, maxDepth));
+      } else if (isSupportedFile(itemPath, fileFilter?.filePatterns) && getLanguageFromExtension(itemPath)) {
+        files.push(itemPath);
       }
+    } catch (error) {
+      console.error(`Error reading ${itemPath}: ${error.message}`);
+    }
+  }
 
-      // Skip items that match ignore patterns
-      if (shouldIgnore(itemPath, allIgnorePatterns, rootPath)) {
-        continue;
-      }
+  return files;
+}
 
-      const isLast = i === items.length - 1;
-      const stats = fs.statSync(itemPath);
+// Function to get the directory where persistent symbol indexes are stored
+function getSymbolIndexDirectory() {
+  if (process.env.CODE_CONTEXT_CACHE_DIR) {
+    return process.env.CODE_CONTEXT_CACHE_DIR;
+  }
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'code-context-provider-mcp');
+}
 
-      // Generate the prefix for current item
-      const prefix = isLast ? '└── ' : '├── ';
+// Function to get the index file of a project root (one file per root, named by a hash of its path)
+function getSymbolIndexPath(rootPath) {
+  const rootHash = crypto.createHash('sha1').update(path.resolve(rootPath)).digest('hex');
+  return path.join(getSymbolIndexDirectory(), `${rootHash}.json`);
+}
 
-      // Generate the prefix for child items
-      const childIndent = indent + (isLast ? '    ' : '│   ');
+// Function to get the symbol index of a project root, loading it from disk on first use
+function getSymbolIndex(rootPath) {
+  const resolvedRoot = path.resolve(rootPath);
+  if (symbolIndexes.has(resolvedRoot)) {
+    return symbolIndexes.get(resolvedRoot);
+  }
 
-      if (stats.isDirectory()) {
-        output += `${indent}${prefix}${itemName}/\n`;
+  const index = {
+    root: resolvedRoot,
+    files: {},
+    dirty: false,
+    stats: { reused: 0, parsed: 0 }
+  };
 
-        // Always recurse to build the directory tree, but only analyze code if we're within maxDepth
-        const shouldAnalyze = analyzeJs && (currentDepth < maxDepth);
+  const indexPath = getSymbolIndexPath(resolvedRoot);
+  try {
+    if (fs.existsSync(indexPath)) {
+      const stored = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      // Indexes written by another format version, with other extraction queries or for another root are discarded
+      if (stored.version === SYMBOL_INDEX_VERSION && stored.queries === getQueryFingerprint() && stored.root === resolvedRoot) {
+        index.files = stored.files || {};
+      }
+    }
+  } catch (error) {
+    console.error(`Error loading symbol index ${indexPath}: ${error.message}`);
+  }
 
-        output += await getDirectoryTree(
-          itemPath,
-          rootPath,
-          allIgnorePatterns,
-          filePatterns,
-          childIndent,
-          shouldAnalyze, // Only analyze if within depth limit
-          includeSymbols,
-          symbolType,
-          currentDepth + 1,
-          maxDepth
-        );
-      } else {
-        const sizeInKB = Math.ceil(stats.size / 1024);
-        output += `${indent}${prefix}${itemName} (${sizeInKB} KB)\n`;
+  symbolIndexes.set(resolvedRoot, index);
+  return index;
+}
 
-        // Analyze supported files if requested AND we're within the max depth limit
-        if (analyzeJs && currentDepth <= maxDepth && isSupportedFile(itemPath, filePatterns)) {
-          try {
-            const fileContent = fs.readFileSync(itemPath, 'utf8');
-            const symbols = await extractCodeSymbols(itemPath, fileContent);
+// Function to write a symbol index to disk if it changed, dropping files that no longer exist
+function saveSymbolIndex(index) {
+  for (const relativePath of Object.keys(index.files)) {
+    if (!fs.existsSync(path.join(index.root, relativePath))) {
+      delete index.files[relativePath];
+      index.dirty = true;
+    }
+  }
 
-            if (symbols) {
-              // Store the extracted symbols
-              codeSymbols.functions[itemPath] = symbols.functions;
-              codeSymbols.variables[itemPath] = symbols.variables;
-              codeSymbols.classes[itemPath] = symbols.classes;
-              codeSymbols.imports[itemPath] = symbols.imports;
-              codeSymbols.exports[itemPath] = symbols.exports;
-              codeSymbols.files.add(itemPath);
+  if (!index.dirty) {
+    return;
+  }
 
-              // Add a summary of what was found
-              output += `${childIndent}└── [Analyzed: ${symbols.functions.length} functions, ${symbols.variables.length} variables, ${symbols.classes.length} classes]\n`;
-
-              // Add detailed symbol information if requested
-              if (includeSymbols) {
-                // Functions
-                if ((symbolType === 'functions' || symbolType === 'all') && symbols.functions.length > 0) {
-                  // Always filter out anonymous functions by default
-                  const fileFunctions = symbols.functions.filter(fn => fn.name !== 'anonymous');
-
-                  if (fileFunctions.length > 0) {
-                    output += `${childIndent}    Functions:\n`;
-                    output += fileFunctions.map(fn =>
-                      `${childIndent}    - ${fn.name}${fn.parent ? ` (in ${fn.parent})` : ''} [${fn.position.startLine}:${fn.position.startCol}]`
-                    ).join('\n') + '\n';
-                  }
-                }
-
-                // Variables
-                if ((symbolType === 'variables' || symbolType === 'all') && symbols.variables.length > 0) {
-                  output += `${childIndent}    Variables:\n`;
-                  output += symbols.variables.map(v =>
-                    `${childIndent}    - ${v.kind} ${v.name} [${v.position.startLine}:${v.position.startCol}]`
-                  ).join('\n') + '\n';
-                }
-
-                // Classes
-                if ((symbolType === 'classes' || symbolType === 'all') && symbols.classes.length > 0) {
-                  output += `${childIndent}    Classes:\n`;
-                  output += symbols.classes.map(c => {
-                    let classInfo = `${childIndent}    - ${c.name} [${c.position.startLine}:${c.position.startCol}]`;
-                    if (c.methods.length > 0) {
-                      classInfo += `\n${childIndent}      Methods:\n`;
-                      classInfo += c.methods.map(m =>
-                        `${childIndent}      - ${m.isStatic ? 'static ' : ''}${m.name} [${m.position.startLine}:${m.position.startCol}]`
-                      ).join('\n');
-                    }
-                    return classInfo;
-                  }).join('\n') + '\n';
-                }
-
-                // Imports
-                if ((symbolType === 'imports' || symbolType === 'all') && symbols.imports.length > 0) {
-                  output += `${childIndent}    Imports:\n`;
-                  output += symbols.imports.map(imp => {
-                    let importInfo = `${childIndent}    - from '${imp.source}'`;
-                    if (imp.items.length > 0) {
-                      importInfo += ': ' + imp.items.map(item =>
-                        `${item.name}${item.alias ? ` as ${item.alias}` : ''}`
-                      ).join(', ');
-                    }
-                    return importInfo;
-                  }).join('\n') + '\n';
-                }
-
-                // Exports
-                if ((symbolType === 'exports' || symbolType === 'all') && symbols.exports.length > 0) {
-                  output += `${childIndent}    Exports:\n`;
-                  output += symbols.exports.map(exp => {
-                    let exportInfo = `${childIndent}    - ${exp.isDefault ? 'default export' : 'export'}`;
-                    if (exp.source) {
-                      exportInfo += ` from '${exp.source}'`;
-                    }
-                    if (exp.items.length > 0) {
-                      exportInfo += ': ' + exp.items.map(item =>
-                        `${item.name}${item.alias ? ` as ${item.alias}` : ''}`
-                      ).join(', ');
-                    }
-                    return exportInfo;
-                  }).join('\n') + '\n';
-                }
-              }
-            }
-          } catch (error) {
-            console.error(`Error analyzing ${itemPath}: ${error.message}`);
-          }
-        }
+  const indexPath = getSymbolIndexPath(index.root);
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    // Write to a temporary file first so an interrupted write never leaves a corrupt index
+    const tempPath = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: SYMBOL_INDEX_VERSION, queries: getQueryFingerprint(), root: index.root, files: index.files }));
+    fs.renameSync(tempPath, indexPath);
+    index.dirty = false;
+  } catch (error) {
+    console.error(`Error saving symbol index ${indexPath}: ${error.message}`);
+  }
+}
+
+// Function to remove a project's symbol index, or only the given files from it
+function invalidateSymbolIndex(rootPath, filePaths = null) {
+  const index = getSymbolIndex(rootPath);
+
+  if (filePaths && filePaths.length > 0) {
+    let removed = 0;
+    for (const filePath of filePaths) {
+      const relativePath = path.relative(index.root, path.resolve(index.root, filePath)).replace(/\\/g, '/');
+      if (index.files[relativePath]) {
+        delete index.files[relativePath];
+        index.dirty = true;
+        removed++;
       }
     }
+    saveSymbolIndex(index);
+    return removed;
+  }
 
-    return output;
-  } catch (error) {
-    console.error(`Error processing directory ${dirPath}: ${error.message}`);
-    return `${indent}Error: ${error.message}\n`;
+  const removed = Object.keys(index.files).length;
+  symbolIndexes.delete(index.root);
+  const indexPath = getSymbolIndexPath(index.root);
+  if (fs.existsSync(indexPath)) {
+    fs.unlinkSync(indexPath);
   }
+  return removed;
 }
 
-// Create an MCP Server
-const server = new McpServer({
-  name: "Context Provider MCP Server",
-  version: "1.0.0"
-});
+// Function to read a file from disk and extract its code symbols, reusing the project index when possible
+async function getFileSymbols(filePath, index = null) {
+  try {
+    if (!index) {
+      const fileContent = fs.readFileSync(filePath, 'utf8');
+      return await extractCodeSymbols(filePath, fileContent);
+    }
 
-// Add the get_code_context tool
-server.tool(
-  "get_code_context",
-  "Returns Complete Context of a given project directory, including directory tree, and code symbols. Useful for getting a quick overview of a project. Use this tool when you need to get a comprehensive overview of a project's codebase. Useful at the start of a new task.",
-  {
-    absolutePath: z.string().describe("Absolute path to the directory to analyze. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
-    analyzeJs: z.boolean().optional().default(false).describe("Whether to analyze JavaScript/TypeScript and Python files. Returns the count of functions, variables, classes, imports, and exports in the codebase."),
-    includeSymbols: z.boolean().optional().default(false).describe("Whether to include code symbols in the response. Returns the code symbols for each file."),
-    symbolType: z.enum(['functions', 'variables', 'classes', 'imports', 'exports', 'all']).optional().default('all').describe("Type of symbols to include if includeSymbols is true. Otherwise, returns only the directory tree."),
-    maxDepth: z.number().optional().default(5).describe("Maximum directory depth for code analysis (default: 5 levels). Directory tree will still be built for all levels. Reduce the depth if you only need a quick overview of the project.")
-  },
-  async ({ absolutePath, analyzeJs, includeSymbols, symbolType, filePatterns, maxDepth = 5 }) => {
-    try {
-      // Check if the path is C:/ drive root or common non-project directories on Windows OS
-      if (process.platform === 'win32') {
-        // Check for C: drive root or common system directories that are not project directories
-        const nonProjectPaths = [
-          /^[cC]:[\\/]?$/,                // C:/ or C:
-          /^[cC]:[\\/]Users[\\/]?$/,      // C:/Users/
-          /^[cC]:[\\/]Windows[\\/]?$/,    // C:/Windows/
-          /^[cC]:[\\/]Program Files[\\/]?$/,  // C:/Program Files/
-          /^[cC]:[\\/]Program Files \(x86\)[\\/]?$/  // C:/Program Files (x86)/
-        ];
+    const relativePath = path.relative(index.root, filePath).replace(/\\/g, '/');
+    const stats = fs.statSync(filePath);
+    const entry = index.files[relativePath];
 
-        if (nonProjectPaths.some(regex => regex.test(absolutePath))) {
-          return {
-            content: [{ type: "text", text: "C drive is not a project directory. Try different path" }],
-            isError: true
-          };
-        }
-      }
+    // Unchanged modification time and size: skip reading the file entirely
+    if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) {
+      index.stats.reused++;
+      return entry.symbols;
+    }
 
-      // Ensure TreeSitter is initialized if we're going to analyze code
-      if (analyzeJs && !initialized) {
-        // Create parsers directory and ensure it exists
-        const parsersDir = ensureParsersDirectory();
-        console.error(`Using parsers directory: ${parsersDir}`);
+    // Touched but identical content (e.g. after a checkout): reuse and refresh the file stats
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const hash = crypto.createHash('sha1').update(fileContent).digest('hex');
+    if (entry && entry.hash === hash) {
+      entry.mtimeMs = stats.mtimeMs;
+      entry.size = stats.size;
+      index.dirty = true;
+      index.stats.reused++;
+      return entry.symbols;
+    }
 
-        // Initialize TreeSitter
-        await initializeTreeSitter();
+    const symbols = await extractCodeSymbols(filePath, fileContent);
+    if (symbols) {
+      index.files[relativePath] = { mtimeMs: stats.mtimeMs, size: stats.size, hash, symbols };
+      index.dirty = true;
+      index.stats.parsed++;
+    }
+    return symbols;
+  } catch (error) {
+    console.error(`Error analyzing ${filePath}: ${error.message}`);
+    return null;
+  }
+}
 
-        if (!initialized) {
-          return {
-            content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
-            isError: true
-          };
-        }
-      }
+// Delay before changes reported by a watcher are processed, so bursts of events (saves, checkouts) are handled once
+const WATCH_DEBOUNCE_MS = 200;
 
-      // Normalize path to handle both Windows and Unix-style paths
-      const normalizedPath = path.normalize(absolutePath);
-      console.error(`Analyzing directory: ${normalizedPath} (analyzeJs: ${analyzeJs}, maxAnalysisDepth: ${maxDepth !== 5 ? maxDepth : '5 (default)'})`);
+// Default interval of the polling fallback
+const WATCH_POLL_INTERVAL_MS = 2000;
 
-      // Reset code symbols if analyzing JS
-      if (analyzeJs) {
-        codeSymbols.functions = {};
-        codeSymbols.variables = {};
-        codeSymbols.classes = {};
-        codeSymbols.imports = {};
-        codeSymbols.exports = {};
-        codeSymbols.files = new Set();
-      }
+// Watched project roots, by resolved path
+const watchedProjects = new Map();
 
-      // Get the directory tree, passing along all the symbol-related parameters
-      const tree = await getDirectoryTree(
-        normalizedPath,
-        normalizedPath,
-        [],
-        filePatterns,
-        '',
-        analyzeJs,
-        includeSymbols,
-        symbolType,
-        0,
-        maxDepth
-      );
+// Resource URIs clients subscribed to with resources/subscribe
+const resourceSubscriptions = new Set();
 
-      // Generate summary of analyzed files if applicable
-      let analysisSummary = '';
-      if (analyzeJs && codeSymbols.files.size > 0) {
-        const totalFunctions = Object.values(codeSymbols.functions).reduce((sum, arr) => sum + arr.length, 0);
-        const totalVariables = Object.values(codeSymbols.variables).reduce((sum, arr) => sum + arr.length, 0);
-        const totalClasses = Object.values(codeSymbols.classes).reduce((sum, arr) => sum + arr.length, 0);
+// Function to check if a file or directory below a project root is left out of the project: ignored itself or inside
+// an ignored directory, or deeper than the analysis depth
+function isIgnoredProjectPath(ignoreRules, rootPath, itemPath, isDirectory, maxDepth) {
+  const directories = path.relative(rootPath, isDirectory ? itemPath : path.dirname(itemPath)).split(path.sep).filter(Boolean);
+  if (directories.length > maxDepth || directories[0] === '..') return true;
 
-        analysisSummary = `\n\nCode Analysis Summary:
-- Files analyzed: ${codeSymbols.files.size}
-- Total functions: ${totalFunctions}
-- Total variables: ${totalVariables}
-- Total classes: ${totalClasses}`;
+  let dir = rootPath;
+  for (const name of directories) {
+    dir = path.join(dir, name);
+    if (isIgnored(ignoreRules, dir, true)) return true;
+  }
+  return !isDirectory && isIgnored(ignoreRules, itemPath, false);
+}
 
-        // Add language support info and custom pattern info
-        if (filePatterns && filePatterns.length > 0) {
-          analysisSummary += `\n\nAnalyzed files matching patterns: ${filePatterns.join(', ')}`;
-        } else {
-          analysisSummary += `\n\nNote: Symbol analysis is supported for JavaScript/TypeScript (.js, .jsx, .ts, .tsx) and Python (.py) files only.`;
-        }
+// Function to get the codecontext:// URI of a project resource ('tree', 'symbols'). The root is percent-encoded
+// into a single segment
+function getProjectResourceUri(rootPath, resource) {
+  return `codecontext://${encodeURIComponent(path.resolve(rootPath))}/${resource}`;
+}
 
-        // Add depth limit info if applicable
-        if (maxDepth !== 5) {
-          analysisSummary += `\n\nCode analysis limited to a maximum depth of ${maxDepth} directory levels.`;
-        } else {
-          analysisSummary += `\n\nCode analysis limited to a maximum depth of 5 directory levels (default).`;
-        }
-      }
+// Function to get the codecontext:// URI of the outline of a file of a project
+function getFileOutlineResourceUri(rootPath, filePath) {
+  const relativePath = path.relative(path.resolve(rootPath), filePath).split(path.sep).map(encodeURIComponent).join('/');
+  return getProjectResourceUri(rootPath, `file/${relativePath}/outline`);
+}
 
-      // Return the result
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Directory structure for: ${normalizedPath}${analysisSummary}\n\n${tree}`
-          }
-        ]
-      };
-    } catch (error) {
-      console.error(`Error in get_code_context tool: ${error.message}`);
+// Function to get the resources a change of a file affects: the tree and symbols resources of the project and the
+// outline resource of the file
+function getAffectedResourceUris(rootPath, filePath) {
+  return [getProjectResourceUri(rootPath, 'tree'), getProjectResourceUri(rootPath, 'symbols'), getFileOutlineResourceUri(rootPath, filePath)];
+}
+
+// Function to notify subscribed clients that the resources affected by changed files were updated
+async function notifyResourcesUpdated(rootPath, filePaths) {
+  const uris = new Set(filePaths.flatMap(filePath => getAffectedResourceUris(rootPath, filePath)));
+  for (const uri of uris) {
+    if (!resourceSubscriptions.has(uri)) continue;
+    try {
+      await server.server.sendResourceUpdated({ uri });
+    } catch (error) {
+      console.error(`Error sending resource update for ${uri}: ${error.message}`);
+    }
+  }
+}
+
+// Function to queue a changed path of a watched project and schedule processing it (one batch at a time)
+function queueWatchedChange(project, changedPath) {
+  project.pending.add(changedPath);
+  clearTimeout(project.debounceTimer);
+  project.debounceTimer = setTimeout(() => {
+    project.processing = project.processing
+      .then(() => processWatchedChanges(project))
+      .catch(error => console.error(`Error updating watched project ${project.root}: ${error.message}`));
+  }, WATCH_DEBOUNCE_MS);
+}
+
+// Function to re-parse the queued changes of a watched project into its symbol index and the last analysis, then
+// notify subscribers. Directories (created, moved or deleted as a whole) stand for the files inside them
+async function processWatchedChanges(project) {
+  const { root, ignoreRules, maxDepth } = project;
+  const index = getSymbolIndex(root);
+  const changedPaths = [...project.pending];
+  project.pending.clear();
+
+  const candidates = new Set();
+  for (const changedPath of changedPaths) {
+    const relativePath = path.relative(root, changedPath).replace(/\\/g, '/');
+    if (fs.existsSync(changedPath) && fs.statSync(changedPath).isDirectory()) {
+      if (isIgnoredProjectPath(ignoreRules, root, changedPath, true, maxDepth)) continue;
+      const depth = relativePath ? relativePath.split('/').length : 0;
+      collectSourceFiles(changedPath, root, ignoreRules, null, depth, maxDepth).forEach(filePath => candidates.add(filePath));
+    } else {
+      candidates.add(changedPath);
+    }
+    // Files indexed below a path that is gone
+    for (const indexedPath of Object.keys(index.files)) {
+      if (!relativePath || indexedPath.startsWith(`${relativePath}/`)) candidates.add(path.join(root, indexedPath));
+    }
+  }
+
+  const updatedFiles = [];
+  let listChanged = false;
+  for (const filePath of candidates) {
+    if (!isSupportedFile(filePath) || !getLanguageFromExtension(filePath) || isIgnoredProjectPath(ignoreRules, root, filePath, false, maxDepth)) continue;
+
+    const relativePath = path.relative(root, filePath).replace(/\\/g, '/');
+    const previousHash = index.files[relativePath]?.hash;
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      const symbols = await getFileSymbols(filePath, index);
+      // Saved without changes (or unparseable): nothing to update
+      if (!symbols || index.files[relativePath]?.hash === previousHash) continue;
+      if (!previousHash) listChanged = true;
+      if (codeSymbols.files.has(filePath)) {
+        for (const category of SYMBOL_CATEGORIES) {
+          codeSymbols[category][filePath] = symbols[category];
+        }
+      }
+    } else {
+      if (!previousHash) continue;
+      delete index.files[relativePath];
+      index.dirty = true;
+      listChanged = true;
+      if (codeSymbols.files.has(filePath)) {
+        for (const category of SYMBOL_CATEGORIES) {
+          delete codeSymbols[category][filePath];
+        }
+        codeSymbols.files.delete(filePath);
+      }
+    }
+    updatedFiles.push(filePath);
+  }
+
+  if (updatedFiles.length === 0) return;
+  saveSymbolIndex(index);
+  project.updates += updatedFiles.length;
+  project.lastUpdate = new Date().toISOString();
+  console.error(`Updated ${updatedFiles.length} file${updatedFiles.length === 1 ? '' : 's'} of watched project ${root}`);
+  await notifyResourcesUpdated(root, updatedFiles);
+  // New and deleted files add and remove file outline resources
+  if (listChanged) {
+    await server.server.sendResourceListChanged().catch(error => console.error(`Error sending resource list change: ${error.message}`));
+  }
+}
+
+// Function to take a snapshot of the source files of a watched project (modification time and size), for polling
+function snapshotProjectFiles(project) {
+  const snapshot = new Map();
+  for (const filePath of collectSourceFiles(project.root, project.root, project.ignoreRules, null, 0, project.maxDepth)) {
+    try {
+      const stats = fs.statSync(filePath);
+      snapshot.set(filePath, `${stats.mtimeMs}:${stats.size}`);
+    } catch (error) {
+      // Deleted while scanning; the next poll reports it
+    }
+  }
+  return snapshot;
+}
+
+// Function to watch a project by polling: rescan it at an interval and queue the files that changed, appeared or
+// disappeared
+function startPolling(project, pollInterval) {
+  project.mode = 'polling';
+  project.snapshot = snapshotProjectFiles(project);
+  project.pollTimer = setInterval(() => {
+    const snapshot = snapshotProjectFiles(project);
+    for (const [filePath, state] of snapshot) {
+      if (project.snapshot.get(filePath) !== state) queueWatchedChange(project, filePath);
+    }
+    for (const filePath of project.snapshot.keys()) {
+      if (!snapshot.has(filePath)) queueWatchedChange(project, filePath);
+    }
+    project.snapshot = snapshot;
+  }, pollInterval);
+}
+
+// Function to switch a watched project from fs.watch to polling, e.g. when the system runs out of watches
+function fallBackToPolling(project, error) {
+  if (project.mode === 'polling') return;
+  console.error(`Error watching ${project.root}: ${error.message}; falling back to polling`);
+  closeDirectoryWatchers(project);
+  startPolling(project, project.pollInterval);
+}
+
+// Function to close the fs.watch watchers of a project's directories
+function closeDirectoryWatchers(project, belowPath = null) {
+  for (const [dirPath, watcher] of project.watchers) {
+    if (belowPath && dirPath !== belowPath && !dirPath.startsWith(belowPath + path.sep)) continue;
+    watcher.close();
+    project.watchers.delete(dirPath);
+  }
+}
+
+// Function to watch a directory of a project and the directories below it, with a non-recursive fs.watch each.
+// Ignored directories (node_modules, .git, ...) and the directories below them are skipped, which a recursive
+// watch of the root can't do
+function watchProjectDirectories(project, dirPath) {
+  if (project.watchers.has(dirPath) || isIgnoredProjectPath(project.ignoreRules, project.root, dirPath, true, project.maxDepth)) return;
+
+  let watcher;
+  try {
+    watcher = fs.watch(dirPath, (eventType, fileName) => {
+      // Without a file name, the whole directory may have changed
+      const changedPath = fileName ? path.join(dirPath, fileName.toString()) : dirPath;
+      try {
+        followDirectoryChange(project, changedPath);
+      } catch (error) {
+        fallBackToPolling(project, error);
+      }
+      queueWatchedChange(project, changedPath);
+    });
+  } catch (error) {
+    // Removed before it could be watched
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  watcher.on('error', (error) => fallBackToPolling(project, error));
+  project.watchers.set(dirPath, watcher);
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory()) watchProjectDirectories(project, path.join(dirPath, entry.name));
+  }
+}
+
+// Function to watch directories created (or moved) into a watched project and stop watching removed ones
+function followDirectoryChange(project, changedPath) {
+  if (project.mode !== 'native') return;
+  let isDirectory = false;
+  try {
+    isDirectory = fs.statSync(changedPath).isDirectory();
+  } catch {
+    // Removed
+  }
+  if (isDirectory) {
+    watchProjectDirectories(project, changedPath);
+  } else {
+    closeDirectoryWatchers(project, changedPath);
+  }
+}
+
+// Function to start watching a project root: index its files, then keep the index current with fs.watch on each
+// directory that isn't ignored, or by polling when watching fails (or when polling is requested)
+async function watchProject(rootPath, { maxDepth = 5, poll = false, pollInterval = WATCH_POLL_INTERVAL_MS, ignorePatterns = [], includeHidden = false, respectGitignore = true } = {}) {
+  const root = path.resolve(rootPath);
+  unwatchProject(root);
+
+  const project = {
+    root,
+    maxDepth,
+    ignoreRules: createIgnoreRules(root, { ignorePatterns, includeHidden, respectGitignore }),
+    mode: null,
+    watchers: new Map(),
+    pollInterval,
+    pollTimer: null,
+    snapshot: null,
+    debounceTimer: null,
+    pending: new Set(),
+    processing: Promise.resolve(),
+    files: 0,
+    updates: 0,
+    lastUpdate: null,
+    startedAt: new Date().toISOString()
+  };
+
+  // Bring the index up to date before watching for changes
+  const index = getSymbolIndex(root);
+  const files = collectSourceFiles(root, root, project.ignoreRules, null, 0, maxDepth);
+  for (const filePath of files) {
+    await getFileSymbols(filePath, index);
+  }
+  saveSymbolIndex(index);
+  project.files = files.length;
+
+  if (poll) {
+    startPolling(project, pollInterval);
+  } else {
+    try {
+      project.mode = 'native';
+      watchProjectDirectories(project, root);
+    } catch (error) {
+      fallBackToPolling(project, error);
+    }
+  }
+
+  watchedProjects.set(root, project);
+  return project;
+}
+
+// Function to stop watching a project root. Returns false when it wasn't watched
+function unwatchProject(rootPath) {
+  const root = path.resolve(rootPath);
+  const project = watchedProjects.get(root);
+  if (!project) return false;
+
+  closeDirectoryWatchers(project);
+  clearInterval(project.pollTimer);
+  clearTimeout(project.debounceTimer);
+  watchedProjects.delete(root);
+  return true;
+}
+
+// Extensions tried, in order, when resolving JavaScript/TypeScript import specifiers
+const JS_RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Function to check if a path is an existing file
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Function to read and parse a package.json, returning null if missing or invalid
+function readPackageJson(packageDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Conditions of package.json "exports" targets in order of preference, for ES module imports and CommonJS requires
+const EXPORT_CONDITIONS = {
+  esm: ['source', 'import', 'module', 'require', 'node', 'default'],
+  commonjs: ['source', 'require', 'node', 'import', 'module', 'default']
+};
+
+// Function to pick a file from a package.json "exports" target (string, array or conditions object)
+function resolveExportTarget(target, patternMatch, moduleSystem = 'esm') {
+  if (typeof target === 'string') {
+    return target.replace(/\*/g, patternMatch);
+  }
+  if (Array.isArray(target)) {
+    for (const candidate of target) {
+      const resolved = resolveExportTarget(candidate, patternMatch, moduleSystem);
+      if (resolved) return resolved;
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    // Prefer source-like conditions, and type declarations last
+    const conditions = Object.keys(target).sort((a, b) => (a === 'types') - (b === 'types'));
+    const preferred = EXPORT_CONDITIONS[moduleSystem] || EXPORT_CONDITIONS.esm;
+    for (const condition of [...preferred.filter(c => c in target), ...conditions.filter(c => !preferred.includes(c))]) {
+      const resolved = resolveExportTarget(target[condition], patternMatch, moduleSystem);
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+// Function to resolve a package subpath (e.g. '.' or './utils') through a package.json "exports" field
+function resolvePackageExports(exportsField, subpath, moduleSystem) {
+  // Shorthand forms only describe the main entry point
+  const hasSubpaths = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+  if (!hasSubpaths) {
+    return subpath === '.' ? resolveExportTarget(exportsField, '', moduleSystem) : null;
+  }
+
+  if (exportsField[subpath] !== undefined) {
+    return resolveExportTarget(exportsField[subpath], '', moduleSystem);
+  }
+
+  // Subpath patterns, e.g. "./features/*": "./src/features/*.js"
+  for (const [key, target] of Object.entries(exportsField)) {
+    const starIndex = key.indexOf('*');
+    if (starIndex === -1) continue;
+
+    const prefix = key.slice(0, starIndex);
+    const suffix = key.slice(starIndex + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+      return resolveExportTarget(target, subpath.slice(prefix.length, subpath.length - suffix.length), moduleSystem);
+    }
+  }
+
+  return null;
+}
+
+// Function to resolve a package directory and subpath to a file using its package.json. CommonJS requires pick
+// the "require" export conditions and "main" over "module"
+function resolvePackageEntry(packageDir, subpath, moduleSystem = 'esm') {
+  const packageJson = readPackageJson(packageDir);
+
+  if (packageJson?.exports !== undefined) {
+    const target = resolvePackageExports(packageJson.exports, subpath, moduleSystem);
+    if (target) {
+      return resolveJsPath(path.resolve(packageDir, target), false);
+    }
+  }
+
+  if (subpath === '.') {
+    const main = moduleSystem === 'commonjs' ? packageJson?.main || packageJson?.module : packageJson?.module || packageJson?.main;
+    if (main) {
+      const resolved = resolveJsPath(path.resolve(packageDir, main), false);
+      if (resolved) return resolved;
+    }
+    return resolveJsPath(path.join(packageDir, 'index'), false);
+  }
+
+  return resolveJsPath(path.resolve(packageDir, subpath));
+}
+
+// Function to resolve a path the way Node and TypeScript bundlers do: exact file, added extension, directory entry
+function resolveJsPath(basePath, checkPackageJson = true) {
+  if (isFile(basePath)) {
+    return basePath;
+  }
+
+  // TypeScript sources are imported with their compiled extension (./util.js -> ./util.ts)
+  const ext = path.extname(basePath);
+  if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+    const stem = basePath.slice(0, -ext.length);
+    for (const tsExt of ['.ts', '.tsx', '.mts', '.cts']) {
+      if (isFile(stem + tsExt)) return stem + tsExt;
+    }
+  }
+
+  for (const candidateExt of JS_RESOLVE_EXTENSIONS) {
+    if (isFile(basePath + candidateExt)) return basePath + candidateExt;
+  }
+
+  if (fs.existsSync(basePath) && fs.statSync(basePath).isDirectory()) {
+    if (checkPackageJson && fs.existsSync(path.join(basePath, 'package.json'))) {
+      const resolved = resolvePackageEntry(basePath, '.');
+      if (resolved) return resolved;
+    }
+    for (const candidateExt of JS_RESOLVE_EXTENSIONS) {
+      const indexPath = path.join(basePath, `index${candidateExt}`);
+      if (isFile(indexPath)) return indexPath;
+    }
+  }
+
+  return null;
+}
+
+// Function to resolve a JavaScript/TypeScript import specifier to project files
+function resolveJsImport(fromFile, specifier, projectPackages, moduleSystem = 'esm') {
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    const resolved = resolveJsPath(path.resolve(path.dirname(fromFile), specifier));
+    return resolved ? [resolved] : null;
+  }
+
+  // Bare specifiers only resolve to packages that live inside the project (workspaces, self-references)
+  const segments = specifier.split('/');
+  const packageName = specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  const packageDir = projectPackages.get(packageName);
+  if (!packageDir) {
+    return null;
+  }
+
+  const rest = specifier.slice(packageName.length);
+  const resolved = resolvePackageEntry(packageDir, rest ? `.${rest}` : '.', moduleSystem);
+  return resolved ? [resolved] : null;
+}
+
+// Function to resolve a Python module path (without extension) to a module file or package __init__.py
+function resolvePythonModule(modulePath) {
+  if (isFile(`${modulePath}.py`)) return `${modulePath}.py`;
+  if (isFile(path.join(modulePath, '__init__.py'))) return path.join(modulePath, '__init__.py');
+  return null;
+}
+
+// Function to get the paths a Python import's module may live at: relative imports start from the importing file's
+// package, absolute ones from the project root (or src/) or the importing file's directory
+function getPythonModulePaths(fromFile, specifier, rootPath) {
+  const dots = specifier.match(/^\.*/)[0].length;
+  const moduleParts = specifier.slice(dots).split('.').filter(Boolean);
+
+  let baseDirs;
+  if (dots > 0) {
+    let baseDir = path.dirname(fromFile);
+    for (let i = 1; i < dots; i++) {
+      baseDir = path.dirname(baseDir);
+    }
+    baseDirs = [baseDir];
+  } else {
+    baseDirs = [rootPath, path.join(rootPath, 'src'), path.dirname(fromFile)];
+  }
+
+  return baseDirs.map(baseDir => path.join(baseDir, ...moduleParts));
+}
+
+// Function to resolve a Python import to project files (relative imports, packages and submodules)
+function resolvePythonImport(fromFile, imp, rootPath) {
+  const isPackageOnly = /^\.*$/.test(imp.source);
+
+  for (const modulePath of getPythonModulePaths(fromFile, imp.source, rootPath)) {
+    const resolved = [];
+
+    // 'from package import submodule' depends on the submodule files themselves
+    const isFromImport = !(imp.items.length === 1 && imp.items[0].name === 'module');
+    if (isFromImport) {
+      for (const item of imp.items) {
+        if (item.name === '*') continue;
+        const submodule = resolvePythonModule(path.join(modulePath, ...item.name.split('.')));
+        if (submodule) resolved.push(submodule);
+      }
+    }
+
+    // 'from . import name' refers to the package itself when name is not a submodule
+    const moduleFile = !isPackageOnly
+      ? resolvePythonModule(modulePath)
+      : (isFile(path.join(modulePath, '__init__.py')) ? path.join(modulePath, '__init__.py') : null);
+    if (moduleFile && (resolved.length === 0 || resolved.length < imp.items.length)) {
+      resolved.push(moduleFile);
+    }
+
+    if (resolved.length > 0) {
+      return resolved;
+    }
+  }
+
+  return null;
+}
+
+// Function to resolve a name bound by a Python 'from package import name' to the submodule file it names, or null
+// when the name is not a submodule (a function, class or variable of the package)
+function resolvePythonSubmodule(fromFile, imp, name, rootPath) {
+  for (const modulePath of getPythonModulePaths(fromFile, imp.source, rootPath)) {
+    const submodule = resolvePythonModule(path.join(modulePath, ...name.split('.')));
+    if (submodule) return submodule;
+  }
+  return null;
+}
+
+// Function to resolve a file-path include (C/C++ #include, Ruby require, PHP require) to a project file,
+// relative to the including file or, for non-relative paths, to the common include and load directories of the root
+function resolveIncludePath(fromFile, specifier, rootPath, extensions = []) {
+  const fromDir = path.dirname(fromFile);
+  const baseDirs = specifier.startsWith('.')
+    ? [fromDir]
+    : [fromDir, rootPath, path.join(rootPath, 'include'), path.join(rootPath, 'src'), path.join(rootPath, 'lib')];
+
+  for (const baseDir of baseDirs) {
+    for (const extension of ['', ...extensions]) {
+      const candidate = path.resolve(baseDir, specifier + extension);
+      if (isFile(candidate)) {
+        return [candidate];
+      }
+    }
+  }
+
+  return null;
+}
+
+// Function to find the Go module (go.mod) a file belongs to, looking up to the project root
+function findGoModule(fromFile, rootPath) {
+  const resolvedRoot = path.resolve(rootPath);
+  for (let dir = path.dirname(fromFile); ; dir = path.dirname(dir)) {
+    try {
+      const modulePath = fs.readFileSync(path.join(dir, 'go.mod'), 'utf8').match(/^\s*module\s+"?([^\s"]+)"?/m)?.[1];
+      if (modulePath) return { dir, modulePath };
+    } catch {
+      // No go.mod in this directory
+    }
+    if (dir === resolvedRoot || path.dirname(dir) === dir) return null;
+  }
+}
+
+// Function to resolve a Go import path of the file's own module to the files of the imported package directory
+function resolveGoImport(fromFile, imp, rootPath) {
+  const goModule = findGoModule(fromFile, rootPath);
+  if (!goModule || (imp.source !== goModule.modulePath && !imp.source.startsWith(`${goModule.modulePath}/`))) {
+    return null;
+  }
+
+  const packageDir = path.join(goModule.dir, ...imp.source.slice(goModule.modulePath.length).split('/').filter(Boolean));
+  let names;
+  try {
+    names = fs.readdirSync(packageDir);
+  } catch {
+    return null;
+  }
+  const files = names
+    .filter(name => name.endsWith('.go') && !name.endsWith('_test.go'))
+    .map(name => path.join(packageDir, name))
+    .filter(isFile);
+  return files.length > 0 ? files : null;
+}
+
+// Function to get the directory holding the submodules of a Rust file: its own directory for crate roots (main.rs,
+// lib.rs, src/bin files) and mod.rs files, otherwise a directory named after the file
+function getRustModuleDir(filePath) {
+  const name = path.basename(filePath, '.rs');
+  return ['main', 'lib', 'mod'].includes(name) || path.basename(path.dirname(filePath)) === 'bin'
+    ? path.dirname(filePath)
+    : path.join(path.dirname(filePath), name);
+}
+
+// Function to find the file of a Rust submodule (name.rs or name/mod.rs) in a module directory
+function resolveRustModuleFile(moduleDir, name) {
+  return [path.join(moduleDir, `${name}.rs`), path.join(moduleDir, name, 'mod.rs')].find(isFile) || null;
+}
+
+// Function to find the source directory of the crate a Rust file belongs to (src/ next to the nearest Cargo.toml)
+function findRustCrateDir(fromFile, rootPath) {
+  const resolvedRoot = path.resolve(rootPath);
+  for (let dir = path.dirname(fromFile); ; dir = path.dirname(dir)) {
+    if (isFile(path.join(dir, 'Cargo.toml'))) {
+      return fs.existsSync(path.join(dir, 'src')) ? path.join(dir, 'src') : dir;
+    }
+    if (dir === resolvedRoot || path.dirname(dir) === dir) return null;
+  }
+}
+
+// Function to resolve a Rust use path (crate::, self::, super:: or a submodule of the current module) to module files.
+// Used items that are modules themselves resolve to their own files
+function resolveRustImport(fromFile, imp, rootPath) {
+  const segments = imp.source.split('::').filter(Boolean);
+  let moduleDir = getRustModuleDir(fromFile);
+  if (segments[0] === 'crate') {
+    moduleDir = findRustCrateDir(fromFile, rootPath);
+    segments.shift();
+  }
+  while (moduleDir && (segments[0] === 'self' || segments[0] === 'super')) {
+    if (segments.shift() === 'super') moduleDir = path.dirname(moduleDir);
+  }
+  if (!moduleDir) {
+    return null;
+  }
+
+  let moduleFile = null;
+  for (const segment of segments) {
+    moduleFile = resolveRustModuleFile(moduleDir, segment);
+    if (!moduleFile) return null;
+    moduleDir = path.join(moduleDir, segment);
+  }
+
+  const resolved = [];
+  for (const item of imp.items) {
+    const itemFile = ['*', 'self'].includes(item.name) ? null : resolveRustModuleFile(moduleDir, item.name);
+    if (itemFile) resolved.push(itemFile);
+  }
+  if (moduleFile && resolved.length < imp.items.length) {
+    resolved.push(moduleFile);
+  }
+  return resolved.length > 0 ? resolved : null;
+}
+
+// Function to check if a file's source mentions a name as a whole word
+function mentionsName(fileContent, name) {
+  return new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(fileContent);
+}
+
+// Function to resolve a Java or C# import to the files of the imported package or namespace: the file declaring the
+// named type, or for wildcard imports and C# using directives, the files whose types the importing file mentions.
+// Static imports and nested types name a member of a type, so the type is looked up one level up
+function resolveNamespaceImport(fromFile, imp, importIndex) {
+  const fileContent = importIndex.readSource(fromFile);
+  const findTypeFiles = (namespace, typeName) => (importIndex.namespaces.get(namespace) || [])
+    .filter(entry => entry.file !== fromFile && (typeName ? entry.typeNames.includes(typeName) : entry.typeNames.some(name => mentionsName(fileContent, name))))
+    .map(entry => entry.file);
+
+  const resolved = new Set();
+  for (const item of imp.items) {
+    let files = findTypeFiles(imp.source, item.name === '*' ? null : item.name);
+    if (files.length === 0 && imp.source.includes('.')) {
+      const separatorIndex = imp.source.lastIndexOf('.');
+      files = findTypeFiles(imp.source.slice(0, separatorIndex), imp.source.slice(separatorIndex + 1));
+    }
+    files.forEach(file => resolved.add(file));
+  }
+  return resolved.size > 0 ? [...resolved] : null;
+}
+
+// Languages whose imports resolve to project files. Files of other languages (such as languages added through query
+// files) can't have dependents, so they are left out of orphan detection
+const RESOLVED_IMPORT_LANGUAGES = new Set(['javascript', 'typescript', 'python', 'c', 'cpp', 'php', 'ruby', 'go', 'rust', 'java', 'csharp']);
+
+// Function to resolve an import record to project files: JavaScript/TypeScript and Python modules, C/C++, PHP and Ruby
+// includes, Go packages of the project's modules, Rust modules, and Java/C# types through their packages and namespaces
+function resolveImport(fromFile, imp, rootPath, importIndex) {
+  switch (getLanguageName(fromFile)) {
+    case 'javascript':
+    case 'typescript':
+      return resolveJsImport(fromFile, imp.source, importIndex.packages, imp.moduleSystem || 'esm');
+    case 'python':
+      return resolvePythonImport(fromFile, imp, rootPath);
+    case 'c':
+    case 'cpp':
+    case 'php':
+      return resolveIncludePath(fromFile, imp.source, rootPath);
+    case 'ruby':
+      return resolveIncludePath(fromFile, imp.source, rootPath, ['.rb']);
+    case 'go':
+      return resolveGoImport(fromFile, imp, rootPath);
+    case 'rust':
+      return resolveRustImport(fromFile, imp, rootPath);
+    case 'java':
+    case 'csharp':
+      return resolveNamespaceImport(fromFile, imp, importIndex);
+    default:
+      return null;
+  }
+}
+
+// Function to find the dependencies of a file that no import states: the module files a Rust file declares with
+// 'mod name;', and the types of its own package or namespace (and, in C#, of the enclosing namespaces) that a Java or
+// C# file uses without importing them
+function resolveImplicitDependencies(filePath, symbols, importIndex) {
+  const language = getLanguageName(filePath);
+  if (language === 'rust') {
+    const moduleDir = getRustModuleDir(filePath);
+    return symbols.namespaces.map(ns => resolveRustModuleFile(moduleDir, ns.name)).filter(Boolean);
+  }
+  if (language !== 'java' && language !== 'csharp') {
+    return [];
+  }
+
+  const namespaces = new Set(symbols.namespaces.length > 0 ? symbols.namespaces.map(ns => ns.name) : ['']);
+  if (language === 'csharp') {
+    for (const namespace of [...namespaces]) {
+      for (let i = namespace.lastIndexOf('.'); i > 0; i = namespace.lastIndexOf('.', i - 1)) {
+        namespaces.add(namespace.slice(0, i));
+      }
+    }
+  }
+  return [...namespaces].flatMap(namespace => resolveNamespaceImport(filePath, { source: namespace, items: [{ name: '*', alias: null }] }, importIndex) || []);
+}
+
+// Function to index a project for import resolution: the packages (package.json) it contains, and the files declaring
+// the types of each Java package and C# namespace, since those languages import types rather than files
+function buildImportIndex(rootPath, symbolsByFile) {
+  const namespaces = new Map();
+  for (const [filePath, symbols] of symbolsByFile) {
+    if (!['java', 'csharp'].includes(getLanguageName(filePath))) continue;
+    const typeNames = [...symbols.classes, ...symbols.interfaces, ...symbols.enums].map(type => type.name);
+    // Files without a package or namespace declaration belong to the default one
+    for (const namespace of symbols.namespaces.length > 0 ? symbols.namespaces.map(ns => ns.name) : ['']) {
+      if (!namespaces.has(namespace)) namespaces.set(namespace, []);
+      namespaces.get(namespace).push({ file: filePath, typeNames });
+    }
+  }
+
+  const sources = new Map();
+  return {
+    packages: findProjectPackages(rootPath, [...symbolsByFile.keys()]),
+    namespaces,
+    // Sources are read once, when a file's type uses are first checked
+    readSource: (filePath) => {
+      if (!sources.has(filePath)) sources.set(filePath, fs.readFileSync(filePath, 'utf8'));
+      return sources.get(filePath);
+    }
+  };
+}
+
+// Function to find the files that start a program by declaring a main function: Go 'func main' of package main,
+// Rust 'fn main', and the static main methods of Java ('main') and C# ('Main') classes
+function findMainFunctionFiles(symbolsByFile) {
+  const mainFiles = new Map();
+  for (const [filePath, symbols] of symbolsByFile) {
+    const language = getLanguageName(filePath);
+    const hasFunction = (name, isMethod) => symbols.functions.some(fn => fn.name === name && Boolean(fn.parent) === isMethod);
+    if (language === 'go' && symbols.namespaces.some(ns => ns.name === 'main')) {
+      // Every file of package main is part of the program, the one with func main starts it
+      mainFiles.set(filePath, hasFunction('main', false) ? 'Go func main' : 'Go package main');
+    } else if (language === 'rust' && hasFunction('main', false)) {
+      mainFiles.set(filePath, 'Rust fn main');
+    } else if (language === 'java' && hasFunction('main', true)) {
+      mainFiles.set(filePath, 'Java main method');
+    } else if (language === 'csharp' && hasFunction('Main', true)) {
+      mainFiles.set(filePath, 'C# Main method');
+    }
+  }
+  return mainFiles;
+}
+
+// Function to find the packages (package.json with a name) that contain the given project files
+function findProjectPackages(rootPath, files) {
+  const packages = new Map();
+  const visited = new Set();
+  const resolvedRoot = path.resolve(rootPath);
+
+  for (const filePath of files) {
+    let dir = path.dirname(filePath);
+    while (!visited.has(dir)) {
+      visited.add(dir);
+      const packageJson = readPackageJson(dir);
+      if (packageJson?.name && !packages.has(packageJson.name)) {
+        packages.set(packageJson.name, dir);
+      }
+      if (dir === resolvedRoot || path.dirname(dir) === dir) break;
+      dir = path.dirname(dir);
+    }
+  }
+
+  return packages;
+}
+
+// Function to build the file-to-file import graph of a project from the import records of each file
+async function buildDependencyGraph(rootPath, maxDepth = 5, symbolIndex = null, ignoreRules = null) {
+  const files = collectSourceFiles(rootPath, rootPath, ignoreRules, null, 0, maxDepth);
+  const symbolsByFile = new Map();
+  for (const filePath of files) {
+    const symbols = await getFileSymbols(filePath, symbolIndex);
+    if (symbols) symbolsByFile.set(filePath, symbols);
+  }
+  const importIndex = buildImportIndex(rootPath, symbolsByFile);
+
+  const dependencies = new Map(files.map(filePath => [filePath, new Set()]));
+  const external = new Map();
+  const unresolved = new Map();
+  const addDependency = (filePath, target) => {
+    if (target !== filePath) {
+      dependencies.get(filePath).add(target);
+      if (!dependencies.has(target)) dependencies.set(target, new Set());
+    }
+  };
+
+  for (const [filePath, symbols] of symbolsByFile) {
+    for (const target of resolveImplicitDependencies(filePath, symbols, importIndex)) {
+      addDependency(filePath, target);
+    }
+
+    // Re-exports ('export ... from') are dependencies too
+    const importRecords = [
+      ...symbols.imports,
+      ...symbols.exports.filter(exp => exp.source)
+    ];
+
+    for (const imp of importRecords) {
+      const resolved = resolveImport(filePath, imp, rootPath, importIndex);
+
+      if (resolved) {
+        for (const target of resolved) {
+          addDependency(filePath, target);
+        }
+      } else {
+        // Relative specifiers that don't resolve are broken; anything else is a third-party module
+        const isRelative = imp.source.startsWith('.') || path.isAbsolute(imp.source);
+        const bucket = isRelative ? unresolved : external;
+        if (!bucket.has(filePath)) bucket.set(filePath, new Set());
+        bucket.get(filePath).add(imp.source);
+      }
+    }
+  }
+
+  // Reverse edges for dependents queries
+  const dependents = new Map([...dependencies.keys()].map(filePath => [filePath, new Set()]));
+  for (const [from, targets] of dependencies) {
+    for (const to of targets) {
+      dependents.get(to).add(from);
+    }
+  }
+
+  return { root: rootPath, dependencies, dependents, external, unresolved, mainFiles: findMainFunctionFiles(symbolsByFile) };
+}
+
+// Function to collect the files reachable from a file, following dependencies, dependents or both
+function getTransitiveFiles(graph, startFile, direction = 'dependencies', maxDepth = Infinity) {
+  const visited = new Set([startFile]);
+  let frontier = [startFile];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const filePath of frontier) {
+      const neighbours = [
+        ...(direction !== 'dependents' ? graph.dependencies.get(filePath) || [] : []),
+        ...(direction !== 'dependencies' ? graph.dependents.get(filePath) || [] : [])
+      ];
+      for (const neighbour of neighbours) {
+        if (!visited.has(neighbour)) {
+          visited.add(neighbour);
+          next.push(neighbour);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return visited;
+}
+
+// Function to list the edges of a dependency graph between the given files, as paths relative to the root
+function getGraphEdges(graph, files = null) {
+  const edges = [];
+  const toRelative = (filePath) => path.relative(graph.root, filePath).replace(/\\/g, '/');
+
+  for (const [from, targets] of graph.dependencies) {
+    if (files && !files.has(from)) continue;
+    for (const to of targets) {
+      if (files && !files.has(to)) continue;
+      edges.push({ from: toRelative(from), to: toRelative(to) });
+    }
+  }
+
+  return edges;
+}
+
+// Function to find the strongly connected components of a dependency graph (Tarjan's algorithm)
+function findStronglyConnectedComponents(dependencies) {
+  const indices = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  const visit = (node) => {
+    indices.set(node, nextIndex);
+    lowLinks.set(node, nextIndex);
+    nextIndex++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const target of dependencies.get(node) || []) {
+      if (!indices.has(target)) {
+        visit(target);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(target)));
+      }
+    }
+
+    if (lowLinks.get(node) === indices.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      components.push(component);
+    }
+  };
+
+  for (const node of dependencies.keys()) {
+    if (!indices.has(node)) {
+      visit(node);
+    }
+  }
+
+  return components;
+}
+
+// Function to list the import cycles of a dependency graph as paths that end where they start. Listing every simple
+// cycle takes exponential time in dense components, so each import inside a component reports the shortest cycle
+// through it, found with one breadth-first search per file. The listing is truncated after maxCycles distinct cycles
+function findImportCycles(graph, maxCycles = 100) {
+  const cycles = [];
+  const seen = new Set();
+
+  for (const component of findStronglyConnectedComponents(graph.dependencies)) {
+    // Self-imports are never recorded as edges, so only multi-file components contain cycles
+    if (component.length < 2) continue;
+    const members = new Set(component);
+    const targetsOf = (node) => [...graph.dependencies.get(node)].filter(target => members.has(target)).sort();
+
+    for (const start of [...component].sort()) {
+      // Shortest paths from the start file to every file of its component
+      const previous = new Map([[start, null]]);
+      const queue = [start];
+      for (let i = 0; i < queue.length; i++) {
+        for (const target of targetsOf(queue[i])) {
+          if (!previous.has(target)) {
+            previous.set(target, queue[i]);
+            queue.push(target);
+          }
+        }
+      }
+
+      // Each import of the start file closes the cycle of the shortest path back to the importing file
+      for (const importer of component.filter(node => graph.dependencies.get(node).has(start)).sort()) {
+        const trail = [];
+        for (let node = importer; node !== null; node = previous.get(node)) {
+          trail.unshift(node);
+        }
+
+        // Cycles are reported once, starting from their smallest file
+        const first = trail.indexOf([...trail].sort()[0]);
+        const cycle = [...trail.slice(first), ...trail.slice(0, first)];
+        const key = cycle.join('\0');
+        if (seen.has(key)) continue;
+        if (cycles.length >= maxCycles) {
+          return { cycles, truncated: true };
+        }
+        seen.add(key);
+        cycles.push([...cycle, cycle[0]]);
+      }
+    }
+  }
+
+  return { cycles, truncated: false };
+}
+
+// Function to find the entry points of a project: package.json main/module/bin/exports, __main__.py and configured files
+function findEntryPoints(graph, configuredEntryPoints = []) {
+  const entryPoints = new Map();
+  const addEntryPoint = (filePath, reason) => {
+    if (filePath && graph.dependencies.has(filePath) && !entryPoints.has(filePath)) {
+      entryPoints.set(filePath, reason);
+    }
+  };
+
+  const files = [...graph.dependencies.keys()];
+  for (const [packageName, packageDir] of findProjectPackages(graph.root, files)) {
+    const packageJson = readPackageJson(packageDir);
+    const source = `${packageName} package.json`;
+
+    for (const field of ['main', 'module']) {
+      if (typeof packageJson[field] === 'string') {
+        addEntryPoint(resolveJsPath(path.resolve(packageDir, packageJson[field]), false), `${source} ${field}`);
+      }
+    }
+
+    const bins = typeof packageJson.bin === 'string' ? [packageJson.bin] : Object.values(packageJson.bin || {});
+    for (const bin of bins) {
+      addEntryPoint(resolveJsPath(path.resolve(packageDir, bin), false), `${source} bin`);
+    }
+
+    if (packageJson.exports !== undefined) {
+      const exportedSubpaths = typeof packageJson.exports === 'object' && !Array.isArray(packageJson.exports) &&
+        Object.keys(packageJson.exports).some(key => key.startsWith('.'))
+        ? Object.keys(packageJson.exports).filter(key => !key.includes('*'))
+        : ['.'];
+      // Dual packages export different files to ES module imports and CommonJS requires
+      for (const subpath of exportedSubpaths) {
+        for (const moduleSystem of Object.keys(EXPORT_CONDITIONS)) {
+          const target = resolvePackageExports(packageJson.exports, subpath, moduleSystem);
+          if (target) {
+            addEntryPoint(resolveJsPath(path.resolve(packageDir, target), false), `${source} exports`);
+          }
+        }
+      }
+    }
+  }
+
+  for (const filePath of files) {
+    if (path.basename(filePath) === '__main__.py') {
+      addEntryPoint(filePath, '__main__ module');
+    }
+  }
+
+  for (const [filePath, reason] of graph.mainFiles || []) {
+    addEntryPoint(filePath, reason);
+  }
+
+  for (const entryPoint of configuredEntryPoints) {
+    addEntryPoint(path.resolve(graph.root, entryPoint), 'configured');
+  }
+
+  return entryPoints;
+}
+
+// Function to list the modules that no file imports and that are not entry points. Only files of languages whose
+// imports are resolved are checked
+function findOrphanModules(graph, entryPoints) {
+  return [...graph.dependencies.keys()]
+    .filter(filePath => RESOLVED_IMPORT_LANGUAGES.has(getLanguageName(filePath)))
+    .filter(filePath => graph.dependents.get(filePath).size === 0 && !entryPoints.has(filePath))
+    .sort();
+}
+
+// Function to render dependency graph nodes and edges as Graphviz DOT
+function formatGraphAsDot(nodes, edges, graphName = 'dependencies') {
+  const quote = (value) => `"${value.replace(/"/g, '\\"')}"`;
+  let output = `digraph ${graphName} {\n  rankdir=LR;\n  node [shape=box];\n`;
+  output += nodes.map(node => `  ${quote(node)};`).join('\n') + '\n';
+  output += edges.map(edge => `  ${quote(edge.from)} -> ${quote(edge.to)};`).join('\n');
+  return `${output}\n}`;
+}
+
+// Function to render dependency graph nodes and edges as a Mermaid flowchart
+function formatGraphAsMermaid(nodes, edges) {
+  const ids = new Map(nodes.map((node, i) => [node, `n${i}`]));
+  let output = 'graph LR\n';
+  output += nodes.map(node => `  ${ids.get(node)}["${node.replace(/"/g, '#quot;')}"]`).join('\n') + '\n';
+  output += edges.map(edge => `  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`).join('\n');
+  return output.trimEnd();
+}
+
+// Function to build a project-wide call graph from the outgoing calls recorded on each function
+async function buildCallGraph(rootPath, maxDepth = 5, symbolIndex = null, ignoreRules = null) {
+  const files = collectSourceFiles(rootPath, rootPath, ignoreRules, null, 0, maxDepth);
+  const symbolsByFile = new Map();
+
+  const functionsByFile = new Map();
+  const nodes = new Map();
+  const getId = (filePath, fn) => `${filePath}#${fn.parent ? `${fn.parent}.` : ''}${fn.name}:${fn.position.startLine}`;
+
+  for (const filePath of files) {
+    const symbols = await getFileSymbols(filePath, symbolIndex);
+    if (!symbols) continue;
+    symbolsByFile.set(filePath, symbols);
+
+    const named = symbols.functions.filter(fn => fn.name !== 'anonymous');
+    functionsByFile.set(filePath, named);
+    for (const fn of named) {
+      nodes.set(getId(filePath, fn), {
+        id: getId(filePath, fn),
+        file: filePath,
+        name: fn.name,
+        parent: fn.parent,
+        line: fn.position.startLine
+      });
+    }
+  }
+
+  const importIndex = buildImportIndex(rootPath, symbolsByFile);
+
+  // Top-level functions (or methods of a class) of a file with the given name
+  const findFunction = (filePath, name, parent = null) =>
+    (functionsByFile.get(filePath) || []).find(fn => fn.name === name && fn.parent === parent);
+
+  // Submodule file bound to a call receiver by a Python 'from package import module' (helpers.go()); other from-imports
+  // bind names inside a module, so their calls carry no module source
+  const findReceiverSubmodule = (filePath, receiver) => {
+    if (getLanguageName(filePath) !== 'python') return null;
+    for (const imp of symbolsByFile.get(filePath).imports) {
+      const item = imp.items.find(item => item.name !== '*' && item.name !== 'module' && (item.alias || item.name) === receiver);
+      if (item) return resolvePythonSubmodule(filePath, imp, item.name, rootPath);
+    }
+    return null;
+  };
+
+  // Resolve a call through its import, the caller's own class ('this'/'self'), or the caller's file
+  const resolveCall = (filePath, caller, call) => {
+    if (call.source) {
+      const targets = resolveImport(filePath, { source: call.source, items: [{ name: call.importedName || 'module', alias: null }] }, rootPath, importIndex);
+      const lookupName = call.importedName && call.importedName !== 'default' ? call.importedName : call.name;
+      for (const target of targets || []) {
+        const fn = findFunction(target, lookupName);
+        if (fn) return getId(target, fn);
+      }
+      return null;
+    }
+
+    if (['this', 'self', '$this'].includes(call.receiver)) {
+      const method = caller.parent ? findFunction(filePath, call.name, caller.parent) : null;
+      return method ? getId(filePath, method) : null;
+    }
+
+    if (call.receiver === null) {
+      const fn = findFunction(filePath, call.name);
+      return fn ? getId(filePath, fn) : null;
+    }
+
+    const submodule = findReceiverSubmodule(filePath, call.receiver);
+    const fn = submodule ? findFunction(submodule, call.name) : null;
+    return fn ? getId(submodule, fn) : null;
+  };
+
+  const callees = new Map([...nodes.keys()].map(id => [id, new Map()]));
+  const callers = new Map([...nodes.keys()].map(id => [id, new Map()]));
+  const unresolved = new Map([...nodes.keys()].map(id => [id, new Set()]));
+
+  for (const [filePath, functions] of functionsByFile) {
+    for (const fn of functions) {
+      const callerId = getId(filePath, fn);
+      for (const call of fn.calls || []) {
+        const calleeId = resolveCall(filePath, fn, call);
+        if (calleeId) {
+          // Keep the line of the first call site
+          if (!callees.get(callerId).has(calleeId)) callees.get(callerId).set(calleeId, call.line);
+          if (!callers.get(calleeId).has(callerId)) callers.get(calleeId).set(callerId, call.line);
+        } else {
+          unresolved.get(callerId).add(call.receiver ? `${call.receiver}.${call.name}` : call.name);
+        }
+      }
+    }
+  }
+
+  return { root: rootPath, nodes, callees, callers, unresolved };
+}
+
+// Function to render the callers or callees of a function as an indented tree
+function formatCallTree(callGraph, id, direction, maxDepth, includeUnresolved = false) {
+  const label = (nodeId) => {
+    const node = callGraph.nodes.get(nodeId);
+    const relativePath = path.relative(callGraph.root, node.file).replace(/\\/g, '/');
+    return `${node.parent ? `${node.parent}.` : ''}${node.name} (${relativePath}:${node.line})`;
+  };
+  const edges = direction === 'callers' ? callGraph.callers : callGraph.callees;
+
+  const renderChildren = (nodeId, indent, depth, trail) => {
+    const children = [...edges.get(nodeId).keys()].map(childId => ({ text: label(childId), childId }));
+    if (includeUnresolved && direction === 'callees') {
+      children.push(...[...callGraph.unresolved.get(nodeId)].sort().map(name => ({ text: `${name} (unresolved)`, childId: null })));
+    }
+
+    let output = '';
+    children.forEach((child, i) => {
+      const isLast = i === children.length - 1;
+      const isRecursive = child.childId && trail.has(child.childId);
+      output += `${indent}${isLast ? '└── ' : '├── '}${child.text}${isRecursive ? ' (recursive)' : ''}\n`;
+      if (child.childId && !isRecursive && depth + 1 < maxDepth) {
+        output += renderChildren(child.childId, indent + (isLast ? '    ' : '│   '), depth + 1, new Set([...trail, child.childId]));
+      }
+    });
+    return output;
+  };
+
+  return `${label(id)}\n${renderChildren(id, '', 0, new Set([id]))}`;
+}
+
+// Function to collect the call edges reachable from a function, as caller -> callee pairs
+function collectCallEdges(callGraph, id, direction, maxDepth) {
+  const edges = new Map();
+  const visited = new Set([id]);
+  let frontier = [id];
+
+  for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const nodeId of frontier) {
+      if (direction !== 'callers') {
+        for (const calleeId of callGraph.callees.get(nodeId).keys()) {
+          edges.set(`${nodeId}->${calleeId}`, { from: nodeId, to: calleeId });
+          if (!visited.has(calleeId)) { visited.add(calleeId); next.push(calleeId); }
+        }
+      }
+      if (direction !== 'callees') {
+        for (const callerId of callGraph.callers.get(nodeId).keys()) {
+          edges.set(`${callerId}->${nodeId}`, { from: callerId, to: nodeId });
+          if (!visited.has(callerId)) { visited.add(callerId); next.push(callerId); }
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return { nodes: [...visited], edges: [...edges.values()] };
+}
+
+// Function to find the innermost named function or method containing a position
+function findEnclosingFunction(symbols, line, column) {
+  let enclosing = null;
+  const contains = (position) =>
+    (position.startLine < line || (position.startLine === line && position.startCol <= column)) &&
+    (position.endLine > line || (position.endLine === line && position.endCol >= column));
+
+  for (const fn of symbols?.functions || []) {
+    if (fn.name === 'anonymous' || !contains(fn.position)) continue;
+    // Later starts are nested deeper
+    if (!enclosing || fn.position.startLine > enclosing.position.startLine ||
+        (fn.position.startLine === enclosing.position.startLine && fn.position.startCol > enclosing.position.startCol)) {
+      enclosing = fn;
+    }
+  }
+
+  return enclosing ? (enclosing.parent ? `${enclosing.parent}.${enclosing.name}` : enclosing.name) : null;
+}
+
+// Function to classify an identifier node by the reference query matches around it: the name of a definition, part of
+// an import or a re-export, an exported name, the name of a call, or a plain reference
+function classifyReference(node, matches) {
+  // Qualified names ('Type::method') name the definition or callee by their last segment
+  const endsName = (nameNode) => nameNode.startIndex <= node.startIndex && nameNode.endIndex === node.endIndex;
+  const contains = (outer) => outer.startIndex <= node.startIndex && outer.endIndex >= node.endIndex;
+
+  if (matches.definitions.some(endsName)) return 'definition';
+  if (matches.imports.some(contains)) return 'import';
+  if (matches.reexports.some(contains)) return 're-export';
+  if (matches.exports.some(exportNode => isSameNode(exportNode, node))) return 'export';
+  if (matches.calls.some(endsName)) return 'call';
+  return 'reference';
+}
+
+// Function to find every use of a name in a file's syntax tree. Identifiers are the '@reference.identifier' captures
+// of the language's query, classified by its definition ('@reference.definition' for names no symbol is extracted
+// for), import, export and call captures. Returns null when the
+// query has no '@reference.identifier' captures
+function findReferencesInFile(filePath, fileContent, name, symbols = null) {
+  const parsed = parseSource(filePath, fileContent);
+  if (!parsed) {
+    return [];
+  }
+  const query = getReferenceQuery(parsed.wasmFile);
+  if (!query) {
+    return null;
+  }
+
+  const matches = { identifiers: [], definitions: [], imports: [], reexports: [], exports: [], calls: [] };
+  for (const match of query.matches(parsed.tree.rootNode)) {
+    const captureNames = match.captures.map(capture => capture.name);
+    for (const { name: captureName, node } of match.captures) {
+      if (captureName === 'reference.identifier') {
+        if (node.text === name) matches.identifiers.push(node);
+      } else if (captureName === 'name') {
+        if (captureNames.some(other => other.startsWith('definition.') || other.startsWith('member.'))) matches.definitions.push(node);
+        if (captureNames.includes('reference.call')) matches.calls.push(node);
+      } else if (captureName === 'reference.definition') {
+        matches.definitions.push(node);
+      } else if (captureName === 'import') {
+        matches.imports.push(node);
+      } else if (captureName === 'export' && captureNames.includes('export.source')) {
+        matches.reexports.push(node);
+      } else if (captureName === 'export.name' || captureName === 'export.alias') {
+        matches.exports.push(node);
+      }
+    }
+  }
+
+  const lines = fileContent.split(/\r?\n/);
+  const references = [];
+  const seen = new Set();
+  for (const node of matches.identifiers.sort((a, b) => a.startIndex - b.startIndex)) {
+    // Identifiers captured by several patterns are reported once
+    if (seen.has(node.startIndex)) continue;
+    seen.add(node.startIndex);
+
+    const line = node.startPosition.row + 1;
+    const column = node.startPosition.column;
+    references.push({
+      file: filePath,
+      line,
+      column,
+      kind: classifyReference(node, matches),
+      enclosingFunction: findEnclosingFunction(symbols, line, column),
+      text: (lines[line - 1] || '').trim()
+    });
+  }
+
+  return references;
+}
+
+// Function to list every symbol definition of a file as flat records with a kind
+function listSymbolDefinitions(symbols) {
+  const definitions = [];
+
+  // Functions with a parent class are reported as methods
+  for (const fn of symbols.functions) {
+    if (fn.name === 'anonymous') continue;
+    definitions.push({ kind: fn.parent ? 'method' : 'function', name: fn.name, parent: fn.parent, position: fn.position });
+  }
+
+  // Class methods that were not attributed to their class in the function list
+  const seenPositions = new Set(definitions.map(d => `${d.position.startLine}:${d.position.startCol}`));
+  for (const c of symbols.classes) {
+    for (const m of c.methods) {
+      const positionKey = `${m.position.startLine}:${m.position.startCol}`;
+      if (seenPositions.has(positionKey)) {
+        // Attribute the existing record to its class
+        const existing = definitions.find(d => `${d.position.startLine}:${d.position.startCol}` === positionKey);
+        if (existing && !existing.parent) {
+          existing.kind = 'method';
+          existing.parent = c.name;
+        }
+        continue;
+      }
+      seenPositions.add(positionKey);
+      definitions.push({ kind: 'method', name: m.name, parent: c.name, position: m.position });
+    }
+  }
+  for (const v of symbols.variables) {
+    definitions.push({ kind: 'variable', name: v.name, parent: v.parent || null, position: v.position });
+  }
+  for (const c of symbols.classes) {
+    definitions.push({ kind: 'class', name: c.name, parent: null, position: c.position });
+  }
+  for (const iface of symbols.interfaces) {
+    definitions.push({ kind: 'interface', name: iface.name, parent: null, position: iface.position });
+  }
+  for (const t of symbols.types) {
+    definitions.push({ kind: 'type', name: t.name, parent: null, position: t.position });
+  }
+  for (const e of symbols.enums) {
+    definitions.push({ kind: 'enum', name: e.name, parent: null, position: e.position });
+  }
+  for (const ns of symbols.namespaces) {
+    definitions.push({ kind: 'namespace', name: ns.name, parent: null, position: ns.position });
+  }
+
+  return definitions;
+}
+
+// Function to find the first line of the decorators and leading doc comment of a definition. The definition's node
+// is looked up from its position unless the caller already has it
+function getSymbolLeadingLines(rootNode, position, node = null) {
+  node = node || rootNode.descendantForPosition(
+    { row: position.startLine - 1, column: position.startCol },
+    { row: position.endLine - 1, column: position.endCol }
+  );
+
+  // Climb to the statement that wraps the definition (export, decorators, variable declaration)
+  let anchor = node;
+  while (anchor.parent && ['export_statement', 'decorated_definition', 'lexical_declaration', 'variable_declaration'].includes(anchor.parent.type)) {
+    anchor = anchor.parent;
+  }
+
+  // Decorators are either children of the wrapping statements or preceding siblings (class members)
+  let decoratorRow = null;
+  for (let current = node; current; current = isSameNode(current, anchor) ? null : current.parent) {
+    for (const child of current.namedChildren) {
+      if (child.type === 'decorator' && child.startPosition.row < (decoratorRow ?? position.startLine - 1)) {
+        decoratorRow = child.startPosition.row;
+      }
+    }
+  }
+  let sibling = anchor.previousNamedSibling;
+  while (sibling?.type === 'decorator') {
+    decoratorRow = sibling.startPosition.row;
+    sibling = sibling.previousNamedSibling;
+  }
+
+  // Doc comments are the contiguous comments (or line_comment/block_comment nodes) directly above the definition or its decorators
+  let docRow = null;
+  let topRow = decoratorRow ?? anchor.startPosition.row;
+  while (sibling?.type.endsWith('comment') && sibling.endPosition.row >= topRow - 1) {
+    docRow = sibling.startPosition.row;
+    topRow = docRow;
+    sibling = sibling.previousNamedSibling;
+  }
+
+  return {
+    decoratorLine: decoratorRow !== null ? decoratorRow + 1 : null,
+    docCommentLine: docRow !== null ? docRow + 1 : null
+  };
+}
+
+// Function to get the text of a docstring without its quotes and the indentation shared by its lines
+function cleanDocstring(text) {
+  const [firstLine, ...otherLines] = text
+    .replace(/^[rRuUbBfF]*("""|'''|"|')/, '')
+    .replace(/("""|'''|"|')$/, '')
+    .split(/\r?\n/);
+  const indent = Math.min(...otherLines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+  const cleaned = [firstLine.trim(), ...otherLines.map(line => line.slice(Number.isFinite(indent) ? indent : 0).trimEnd())]
+    .join('\n')
+    .trim();
+  return cleaned || null;
+}
+
+// Function to get the first sentence of a doc comment, before any blank line or JSDoc tag
+function getDocSummary(docComment) {
+  const paragraph = docComment.split(/\n\s*\n|\n(?=@)/)[0].replace(/\s+/g, ' ').trim();
+  return paragraph.match(/^.*?[.!?](?=\s|$)/)?.[0] || paragraph;
+}
+
+// Function to turn a C# XML doc comment into the layout of other doc comments: the summary (and remarks) first, then
+// @param, @typeParam, @returns, @throws and @inheritDoc lines, with inline tags (<see cref="T"/>, <c>x</c>) replaced by their text
+function cleanXmlDocComment(text) {
+  const stripTags = (value) => value
+    .replace(/<(?:see|seealso|paramref|typeparamref)\s+\w+="([^"]*)"\s*\/>/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .trim();
+  const paragraphs = [];
+  const tags = [];
+  for (const [, tag, attributes, content] of text.matchAll(/<(summary|remarks|value|param|typeparam|returns|exception|example)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+    const name = attributes.match(/\b(?:name|cref)="([^"]*)"/)?.[1];
+    const line = stripTags(content).replace(/\s+/g, ' ');
+    switch (tag) {
+      case 'param': tags.push(`@param ${name} ${line}`); break;
+      case 'typeparam': tags.push(`@typeParam ${name} ${line}`); break;
+      case 'returns': tags.push(`@returns ${line}`); break;
+      case 'exception': tags.push(`@throws ${name} ${line}`); break;
+      case 'example': tags.push(`@example ${line}`); break;
+      default: paragraphs.push(stripTags(content));
+    }
+  }
+  if (/<inheritdoc\b/.test(text)) {
+    tags.push('@inheritDoc');
+  }
+  if (paragraphs.length === 0 && tags.length === 0) {
+    return stripTags(text) || null;
+  }
+  return [paragraphs.join('\n\n'), ...tags].filter(Boolean).join('\n');
+}
+
+// Function to get the text of the doc comment directly above a definition, without comment markers
+function getDocComment(lines, rootNode, position, node = null) {
+  const leading = getSymbolLeadingLines(rootNode, position, node);
+  if (leading.docCommentLine === null) {
+    return null;
+  }
+
+  const lastLine = (leading.decoratorLine ?? position.startLine) - 1;
+  const text = lines.slice(leading.docCommentLine - 1, lastLine)
+    .map(line => line.trim()
+      .replace(/^\/\*+|\*+\/$/g, '')
+      .replace(/^(\/\/\/?!?|#|\*)\s?/, '')
+      .trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+  if (/<(summary|remarks|param|returns|inheritdoc)\b/.test(text)) {
+    return cleanXmlDocComment(text);
+  }
+  return text || null;
+}
+
+// Function to get the source of a symbol record from the lines of its file. Records keep positions instead of their
+// code, so the symbol index stays small
+function getRecordSource(lines, position) {
+  const selected = lines.slice(position.startLine - 1, position.endLine);
+  if (selected.length === 0) {
+    return '';
+  }
+  selected[selected.length - 1] = selected[selected.length - 1].slice(0, position.endCol);
+  selected[0] = selected[0].slice(position.startCol);
+  return selected.join('\n');
+}
+
+// Function to get the visibility of a definition from its modifiers, or from the naming conventions of its language.
+// Members of interfaces and traits are public unless marked otherwise; namespaces have no visibility
+function getSymbolVisibility(record, source, language, kind, parentKind = null) {
+  if (kind === 'namespace') {
+    return null;
+  }
+
+  const header = source.slice(0, Math.max(0, source.indexOf(record.name)));
+  const modifier = header.match(/\b(public|private|protected|internal)\b/);
+  if (modifier) {
+    return modifier[1];
+  }
+  if (record.name.startsWith('#')) {
+    return 'private';
+  }
+  if (parentKind === 'interface') {
+    return 'public';
+  }
+
+  switch (language) {
+    case 'go':
+      return /^[A-Z]/.test(record.name) ? 'public' : 'private';
+    case 'rust':
+      return /\bpub\b/.test(header) ? 'public' : 'private';
+    case 'python':
+      return record.name.startsWith('_') && !/^__.+__$/.test(record.name) ? 'private' : 'public';
+    case 'java':
+      return 'package';
+    default:
+      return null;
+  }
+}
+
+// Function to build the nested outline of a file: every definition with its signature, flags and doc comment,
+// nested under the definitions whose line range contains it (classes → methods → nested functions)
+function buildFileOutline(filePath, fileContent, symbols) {
+  const language = getLanguageName(filePath);
+  const lines = fileContent.split(/\r?\n/);
+  const rootNode = parseSource(filePath, fileContent).tree.rootNode;
+
+  // Only JavaScript/TypeScript have export statements, and Python modules that list their exports in __all__;
+  // other languages express it through visibility
+  const hasExportStatements = ['javascript', 'typescript'].includes(language) || symbols.exports.length > 0;
+  const exportedNames = new Set(symbols.exports.flatMap(exp => exp.items.map(item => item.name)));
+
+  const items = [];
+  const seenPositions = new Set();
+  const addItem = (kind, record, details = {}) => {
+    const positionKey = `${record.position.startLine}:${record.position.startCol}`;
+    if (seenPositions.has(positionKey)) return;
+    seenPositions.add(positionKey);
+
+    items.push({
+      kind,
+      name: record.name,
+      parent: record.parent || null,
+      position: record.position,
+      ...details,
+      visibility: null,
+      exported: hasExportStatements ? !record.parent && exportedNames.has(record.name) : null,
+      decorators: record.decorators || [],
+      docComment: record.docComment ?? getDocComment(lines, rootNode, record.position),
+      children: [],
+      record
+    });
+  };
+  const functionDetails = (fn) => ({
+    parameters: fn.parameters || [],
+    returnType: fn.returnType || null,
+    isStatic: Boolean(fn.isStatic),
+    isClassMethod: Boolean(fn.isClassMethod),
+    isAsync: Boolean(fn.isAsync),
+    isGenerator: Boolean(fn.isGenerator),
+    isGetter: Boolean(fn.isGetter),
+    isSetter: Boolean(fn.isSetter)
+  });
+
+  for (const c of symbols.classes) {
+    addItem(c.kind || 'class', c, { typeParameters: c.typeParameters || null });
+    for (const m of c.methods) {
+      addItem('method', { ...m, parent: c.name }, functionDetails(m));
+    }
+  }
+  for (const fn of symbols.functions) {
+    if (fn.name === 'anonymous') continue;
+    addItem(fn.parent ? 'method' : 'function', fn, functionDetails(fn));
+  }
+  for (const v of symbols.variables) addItem('variable', v, { variableKind: v.kind || null, variableType: v.type || null });
+  for (const iface of symbols.interfaces) addItem('interface', iface);
+  for (const t of symbols.types) addItem('type', t);
+  for (const e of symbols.enums) addItem('enum', e);
+  for (const ns of symbols.namespaces) addItem('namespace', ns);
+
+  // Nest each item under the innermost preceding item whose range contains it
+  items.sort((a, b) => (a.position.startLine - b.position.startLine) || (a.position.startCol - b.position.startCol) ||
+    (b.position.endLine - a.position.endLine));
+  const outline = [];
+  const stack = [];
+  const contains = (outer, inner) =>
+    (outer.position.endLine > inner.position.endLine ||
+      (outer.position.endLine === inner.position.endLine && outer.position.endCol >= inner.position.endCol));
+  for (const item of items) {
+    while (stack.length > 0 && !contains(stack[stack.length - 1], item)) {
+      stack.pop();
+    }
+    const parentItem = stack[stack.length - 1] || null;
+    (parentItem ? parentItem.children : outline).push(item);
+    stack.push(item);
+
+    // Visibility depends on the enclosing definition, known once the item is nested
+    item.visibility = getSymbolVisibility(item.record, getRecordSource(lines, item.position), language, item.kind, parentItem?.kind);
+    delete item.record;
+  }
+
+  return { language, lineCount: lines.length, outline };
+}
+
+// Function to render an outline as an indented text list
+function formatOutlineAsText(items, indent = '') {
+  return items.map(item => {
+    const flags = [
+      item.visibility,
+      item.isStatic ? 'static' : null,
+      item.isClassMethod ? 'classmethod' : null,
+      item.isAsync ? 'async' : null,
+      item.isGenerator ? 'generator' : null,
+      item.isGetter ? 'getter' : null,
+      item.isSetter ? 'setter' : null,
+      item.exported ? 'exported' : null
+    ].filter(Boolean);
+    const kind = item.kind === 'variable' && item.variableKind ? item.variableKind : item.kind;
+    const signature = item.parameters ? formatSignature(item) : item.variableType ? `: ${item.variableType}` : item.typeParameters || '';
+    let output = `${indent}- ${kind} ${item.name}${signature}${item.parent && indent === '' ? ` (in ${item.parent})` : ''}` +
+      ` [${item.position.startLine}-${item.position.endLine}]${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`;
+    if (item.decorators.length > 0) {
+      output += `\n${indent}    decorators: ${item.decorators.join(', ')}`;
+    }
+    if (item.docComment) {
+      output += item.docComment.split('\n').map(line => `\n${indent}    ${line}`).join('');
+    }
+    if (item.children.length > 0) {
+      output += `\n${formatOutlineAsText(item.children, `${indent}  `)}`;
+    }
+    return output;
+  }).join('\n');
+}
+
+// Function to format the parameters of a function (with types, default values and rest markers) and its return type
+function formatSignature(fn) {
+  const paramList = (fn.parameters || []).map(param => {
+    const marker = param.rest === 'params' ? 'params ' : param.rest || '';
+    const defaultValue = param.defaultValue && param.defaultValue.length > 40 ? `${param.defaultValue.slice(0, 37)}...` : param.defaultValue;
+    return `${marker}${param.name}${param.optional && !defaultValue ? '?' : ''}${param.type ? `: ${param.type}` : ''}${defaultValue ? ` = ${defaultValue}` : ''}`;
+  }).join(', ');
+  return `(${paramList})${fn.returnType ? `: ${fn.returnType}` : ''}`;
+}
+
+// Function to format the modifiers of a function before its name ('static async get ', '*' for generators)
+function formatFunctionModifiers(fn) {
+  const modifiers = [fn.isStatic && 'static', fn.isAsync && 'async', fn.isGetter && 'get', fn.isSetter && 'set'].filter(Boolean);
+  return `${modifiers.map(modifier => `${modifier} `).join('')}${fn.isGenerator ? '*' : ''}`;
+}
+
+// Function to format the doc comment of a symbol as a suffix: its first sentence, the full text, or nothing
+function formatDocSuffix(record, docComments = 'summary') {
+  if (docComments === 'none' || !record.docComment) {
+    return '';
+  }
+  return ` — ${docComments === 'full' ? record.docComment.replace(/\s+/g, ' ') : getDocSummary(record.docComment)}`;
+}
+
+// Function to recursively get directory structure and analyze JS files
+async function getDirectoryTree(dirPath, rootPath = dirPath, ignoreRules = null, fileFilter = null, analyzeJs = false, currentDepth = 0, maxDepth = 5, symbolIndex = null) {
+  try {
+    if (!fs.existsSync(dirPath)) {
+      return [{ type: 'error', message: `Path does not exist: ${dirPath}` }];
+    }
+
+    // Defaults, ignore files and hidden items are resolved by the rules, which are shared by the whole walk
+    const rules = ignoreRules || createIgnoreRules(rootPath);
+
+    const entries = [];
+    const items = fs.readdirSync(dirPath);
+
+    for (const itemName of items) {
+      const itemPath = path.join(dirPath, itemName);
+      const stats = fs.statSync(itemPath);
+
+      // Skip items that match ignore rules or fall outside the include/exclude globs
+      if (isIgnored(rules, itemPath, stats.isDirectory()) || !matchesFileFilter(fileFilter, itemPath, stats.isDirectory())) {
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        // Always recurse to build the directory tree, but only analyze code if we're within maxDepth
+        const shouldAnalyze = analyzeJs && (currentDepth < maxDepth);
+        const children = await getDirectoryTree(
+          itemPath,
+          rootPath,
+          rules,
+          fileFilter,
+          shouldAnalyze, // Only analyze if within depth limit
+          currentDepth + 1,
+          maxDepth,
+          symbolIndex
+        );
+
+        // With include globs, directories without any included file are left out
+        if (fileFilter?.include.length > 0 && children.length === 0) {
+          continue;
+        }
+
+        entries.push({
+          type: 'directory',
+          name: itemName,
+          path: itemPath,
+          children
+        });
+      } else {
+        const entry = {
+          type: 'file',
+          name: itemName,
+          path: itemPath,
+          size: stats.size,
+          symbols: null
+        };
+
+        // Analyze supported files if requested AND we're within the max depth limit
+        if (analyzeJs && currentDepth <= maxDepth && isSupportedFile(itemPath, fileFilter?.filePatterns)) {
+          try {
+            const symbols = await getFileSymbols(itemPath, symbolIndex);
+
+            if (symbols) {
+              // Store the extracted symbols
+              for (const category of SYMBOL_CATEGORIES) {
+                codeSymbols[category][itemPath] = symbols[category];
+              }
+              codeSymbols.files.add(itemPath);
+              entry.symbols = symbols;
+            }
+          } catch (error) {
+            console.error(`Error analyzing ${itemPath}: ${error.message}`);
+          }
+        }
+
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  } catch (error) {
+    console.error(`Error processing directory ${dirPath}: ${error.message}`);
+    return [{ type: 'error', message: `Error: ${error.message}` }];
+  }
+}
+
+// Function to summarize the symbol counts of a file, mentioning language-specific categories when present
+function formatSymbolCounts(symbols) {
+  let counts = `${symbols.functions.length} functions, ${symbols.variables.length} variables, ${symbols.classes.length} classes`;
+  if (symbols.interfaces.length > 0) counts += `, ${symbols.interfaces.length} interfaces`;
+  if (symbols.types.length > 0) counts += `, ${symbols.types.length} types`;
+  if (symbols.enums.length > 0) counts += `, ${symbols.enums.length} enums`;
+  if (symbols.namespaces.length > 0) counts += `, ${symbols.namespaces.length} namespaces`;
+  if (symbols.entities.length > 0) counts += `, ${symbols.entities.length} entities`;
+  return counts;
+}
+
+// Function to describe the symbols of a file as labeled sections, shared by the text and markdown renderers
+function describeSymbols(symbols, symbolType = 'all', docComments = 'summary') {
+  const sections = [];
+  const wants = (category) => symbolType === category || symbolType === 'all';
+  const at = (position) => `[${position.startLine}:${position.startCol}]`;
+  const formatItems = (items) => items.map(item => `${item.name}${item.alias ? ` as ${item.alias}` : ''}`).join(', ');
+  // CommonJS and dynamic imports are marked, ES module imports are the norm
+  const formatModuleSystem = (record) => record.isDynamic ? ' (dynamic)' : record.moduleSystem === 'commonjs' ? ' (commonjs)' : '';
+
+  // Functions (always filter out anonymous functions by default)
+  const namedFunctions = symbols.functions.filter(fn => fn.name !== 'anonymous');
+  if (wants('functions') && namedFunctions.length > 0) {
+    sections.push({
+      label: 'Functions',
+      items: namedFunctions.map(fn => ({
+        text: `${formatFunctionModifiers(fn)}${fn.name}${formatSignature(fn)}${fn.parent ? ` (in ${fn.parent})` : ''} ${at(fn.position)}${formatDocSuffix(fn, docComments)}`
+      }))
+    });
+  }
+
+  // Variables
+  if (wants('variables') && symbols.variables.length > 0) {
+    sections.push({
+      label: 'Variables',
+      items: symbols.variables.map(v => ({ text: `${v.kind} ${v.name}${v.type ? `: ${v.type}` : ''}${v.parent ? ` (in ${v.parent})` : ''} ${at(v.position)}` }))
+    });
+  }
+
+  // Classes
+  if (wants('classes') && symbols.classes.length > 0) {
+    sections.push({
+      label: 'Classes',
+      items: symbols.classes.map(c => ({
+        text: `${c.kind && c.kind !== 'class' ? `${c.kind} ` : ''}${c.name}${c.typeParameters || ''} ${at(c.position)}${formatDocSuffix(c, docComments)}`,
+        childLabel: 'Methods',
+        children: c.methods.map(m => `${formatFunctionModifiers(m)}${m.name}${formatSignature(m)} ${at(m.position)}${formatDocSuffix(m, docComments)}`)
+      }))
+    });
+  }
+
+  // Imports
+  if (wants('imports') && symbols.imports.length > 0) {
+    sections.push({
+      label: 'Imports',
+      items: symbols.imports.map(imp => ({
+        text: `from '${imp.source}'${formatModuleSystem(imp)}${imp.items.length > 0 ? `: ${formatItems(imp.items)}` : ''}`
+      }))
+    });
+  }
+
+  // Exports
+  if (wants('exports') && symbols.exports.length > 0) {
+    sections.push({
+      label: 'Exports',
+      items: symbols.exports.map(exp => ({
+        text: `${exp.isDefault ? 'default export' : 'export'}${formatModuleSystem(exp)}${exp.source ? ` from '${exp.source}'` : ''}${exp.items.length > 0 ? `: ${formatItems(exp.items)}` : ''}`
+      }))
+    });
+  }
+
+  // Interfaces
+  if (wants('interfaces') && symbols.interfaces.length > 0) {
+    sections.push({
+      label: 'Interfaces',
+      items: symbols.interfaces.map(iface => ({
+        text: `${iface.name}${iface.typeParameters || ''}${iface.extends.length > 0 ? ` extends ${iface.extends.join(', ')}` : ''} ${at(iface.position)}`,
+        children: iface.members.map(member => {
+          const memberName = `${member.name}${member.optional ? '?' : ''}`;
+          return member.kind === 'method'
+            ? `${memberName}${formatSignature(member)}`
+            : `${memberName}${member.type ? `: ${member.type}` : ''}`;
+        })
+      }))
+    });
+  }
+
+  // Type aliases
+  if (wants('types') && symbols.types.length > 0) {
+    sections.push({
+      label: 'Types',
+      items: symbols.types.map(t => ({ text: `${t.name}${t.typeParameters || ''} = ${t.value} ${at(t.position)}` }))
+    });
+  }
+
+  // Enums
+  if (wants('enums') && symbols.enums.length > 0) {
+    sections.push({
+      label: 'Enums',
+      items: symbols.enums.map(e => ({
+        text: `${e.isConst ? 'const ' : ''}${e.name} { ${e.members.map(m => m.value ? `${m.name} = ${m.value}` : m.name).join(', ')} } ${at(e.position)}`
+      }))
+    });
+  }
+
+  // Packages and namespaces
+  if (wants('namespaces') && symbols.namespaces.length > 0) {
+    sections.push({
+      label: 'Namespaces',
+      items: symbols.namespaces.map(ns => ({ text: `${ns.name} ${at(ns.position)}` }))
+    });
+  }
+
+  // Framework entities: components and hooks with the hooks they call, routes with their handler
+  if (wants('entities') && symbols.entities.length > 0) {
+    sections.push({
+      label: 'Entities',
+      items: symbols.entities.map(entity => ({
+        text: `${entity.kind} ${entity.name}${entity.handler ? ` → ${entity.handler}` : ''} ${at(entity.position)}` +
+          `${entity.hooks.length > 0 ? ` uses ${entity.hooks.join(', ')}` : ''}`
+      }))
+    });
+  }
+
+  return sections;
+}
+
+// Function to attach the git state of each file to the entries of a directory tree
+function annotateTreeWithGit(entries, gitInfo) {
+  for (const entry of entries) {
+    if (entry.type === 'directory') {
+      annotateTreeWithGit(entry.children, gitInfo);
+    } else if (entry.type === 'file') {
+      entry.git = gitInfo.files.get(path.resolve(entry.path)) || null;
+    }
+  }
+}
+
+// Function to describe the git state of a file: uncommitted changes, churn and last commit
+function formatGitState(git, churnDays) {
+  const parts = [];
+  if (git.status) {
+    const staging = git.staged && git.unstaged ? 'partly staged' : git.staged ? 'staged' : null;
+    parts.push(staging ? `${git.status}, ${staging}` : git.status);
+  }
+  if (git.churn.commits > 0) {
+    parts.push(`${git.churn.commits} commit${git.churn.commits === 1 ? '' : 's'} in ${churnDays} days (+${git.churn.added} -${git.churn.deleted})`);
+  }
+  if (git.lastCommit) {
+    parts.push(`last commit ${git.lastCommit.date.slice(0, 10)} by ${git.lastCommit.author}`);
+  }
+  return parts.join('; ');
+}
+
+// Function to render a directory tree as indented text with box-drawing prefixes
+function formatTreeAsText(entries, indent = '', includeSymbols = false, symbolType = 'all', docComments = 'summary', churnDays = 90) {
+  let output = '';
+
+  entries.forEach((entry, i) => {
+    if (entry.type === 'error') {
+      output += `${indent}${entry.message}\n`;
+      return;
+    }
+
+    const isLast = i === entries.length - 1;
+
+    // Generate the prefix for current item
+    const prefix = isLast ? '└── ' : '├── ';
+
+    // Generate the prefix for child items
+    const childIndent = indent + (isLast ? '    ' : '│   ');
+
+    if (entry.type === 'directory') {
+      output += `${indent}${prefix}${entry.name}/${entry.collapsed ? ` (${entry.fileCount} files)` : ''}\n`;
+      output += formatTreeAsText(entry.children, childIndent, includeSymbols, symbolType, docComments, churnDays);
+      return;
+    }
+
+    const sizeInKB = Math.ceil(entry.size / 1024);
+    const gitState = entry.git ? formatGitState(entry.git, churnDays) : '';
+    output += `${indent}${prefix}${entry.name} (${sizeInKB} KB)${gitState ? ` [${gitState}]` : ''}\n`;
+
+    if (entry.symbols) {
+      // Add a summary of what was found
+      output += `${childIndent}└── [Analyzed: ${formatSymbolCounts(entry.symbols)}]\n`;
+
+      // Add detailed symbol information if requested
+      if (includeSymbols) {
+        for (const section of describeSymbols(entry.visibleSymbols || entry.symbols, symbolType, docComments)) {
+          output += `${childIndent}    ${section.label}:\n`;
+          output += section.items.map(item => {
+            let itemInfo = `${childIndent}    - ${item.text}`;
+            if (item.children && item.children.length > 0) {
+              if (item.childLabel) {
+                itemInfo += `\n${childIndent}      ${item.childLabel}:`;
+              }
+              itemInfo += '\n' + item.children.map(child => `${childIndent}      - ${child}`).join('\n');
+            }
+            return itemInfo;
+          }).join('\n') + '\n';
+        }
+      }
+    }
+  });
+
+  return output;
+}
+
+// Function to render a directory tree as a nested markdown list
+function formatTreeAsMarkdown(entries, depth = 0, includeSymbols = false, symbolType = 'all', docComments = 'summary', churnDays = 90) {
+  const indent = '  '.repeat(depth);
+  let output = '';
+
+  for (const entry of entries) {
+    if (entry.type === 'error') {
+      output += `${indent}- _${entry.message}_\n`;
+    } else if (entry.type === 'directory') {
+      output += `${indent}- **${entry.name}/**${entry.collapsed ? ` (${entry.fileCount} files)` : ''}\n`;
+      output += formatTreeAsMarkdown(entry.children, depth + 1, includeSymbols, symbolType, docComments, churnDays);
+    } else {
+      const sizeInKB = Math.ceil(entry.size / 1024);
+      const gitState = entry.git ? formatGitState(entry.git, churnDays) : '';
+      output += `${indent}- \`${entry.name}\` (${sizeInKB} KB)${gitState ? ` _[${gitState}]_` : ''}${entry.symbols ? ` — ${formatSymbolCounts(entry.symbols)}` : ''}\n`;
+
+      if (entry.symbols && includeSymbols) {
+        for (const section of describeSymbols(entry.visibleSymbols || entry.symbols, symbolType, docComments)) {
+          output += `${indent}  - ${section.label}:\n`;
+          for (const item of section.items) {
+            output += `${indent}    - \`${item.text}\`\n`;
+            for (const child of item.children || []) {
+              output += `${indent}      - \`${child}\`\n`;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return output;
+}
+
+// Function to convert symbol records into plain JSON data. Doc comments are cut to their first sentence unless the
+// full text is requested
+function toSymbolData(symbols, docComments = 'summary') {
+  return JSON.parse(JSON.stringify(symbols, (key, value) => {
+    if (key === 'docComment' && value) return docComments === 'full' ? value : docComments === 'summary' ? getDocSummary(value) : undefined;
+    return value;
+  }));
+}
+
+// Function to convert a directory tree into plain JSON data
+function formatTreeAsJson(entries, rootPath, includeSymbols = false, symbolType = 'all', docComments = 'summary') {
+  return entries.map(entry => {
+    if (entry.type === 'error') {
+      return { type: 'error', message: entry.message };
+    }
+
+    const relativePath = path.relative(rootPath, entry.path).replace(/\\/g, '/');
+    if (entry.collapsed) {
+      return { type: 'directory', name: entry.name, path: relativePath, collapsed: true, fileCount: entry.fileCount };
+    }
+    if (entry.type === 'directory') {
+      return {
+        type: 'directory',
+        name: entry.name,
+        path: relativePath,
+        children: formatTreeAsJson(entry.children, rootPath, includeSymbols, symbolType, docComments)
+      };
+    }
+
+    const fileData = {
+      type: 'file',
+      name: entry.name,
+      path: relativePath,
+      size: entry.size,
+      language: getLanguageName(entry.path)
+    };
+    if (entry.git) {
+      fileData.git = entry.git;
+    }
+
+    if (entry.symbols) {
+      fileData.symbolCounts = Object.fromEntries(
+        SYMBOL_CATEGORIES.map(category => [category, entry.symbols[category].length])
+      );
+      if (entry.symbols.metrics) fileData.metrics = entry.symbols.metrics;
+
+      if (includeSymbols) {
+        const categories = symbolType === 'all' ? SYMBOL_CATEGORIES : [symbolType];
+        const selected = Object.fromEntries(categories.map(category => [category, (entry.visibleSymbols || entry.symbols)[category]]));
+        fileData.symbols = toSymbolData(selected, docComments);
+      }
+    }
+
+    return fileData;
+  });
+}
+
+// Approximate number of characters per token, used to turn a token budget into a character budget
+const CHARS_PER_TOKEN = 4;
+
+// Directories with more files than this are collapsed first when output has to be summarized
+const HUGE_DIRECTORY_FILES = 100;
+
+// Function to get the output budget in characters from the maxTokens and maxChars parameters (the smaller one wins)
+function getOutputBudget(maxTokens, maxChars) {
+  const limits = [maxChars, maxTokens && maxTokens * CHARS_PER_TOKEN].filter(limit => limit > 0);
+  return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+// Function to count the files below a list of tree entries
+function countTreeFiles(entries) {
+  return entries.reduce((count, entry) => count + (entry.type === 'directory' ? countTreeFiles(entry.children) : 1), 0);
+}
+
+// Function to count the entries (files and directories) of a tree, in the pre-order used by pages
+function countTreeEntries(entries) {
+  return entries.reduce((count, entry) => count + 1 + (entry.type === 'directory' ? countTreeEntries(entry.children) : 0), 0);
+}
+
+// Function to get the deepest directory level of a tree (top-level directories are level 0)
+function getTreeDirectoryDepth(entries, depth = 0) {
+  return entries.reduce((deepest, entry) => (
+    entry.type === 'directory' ? Math.max(deepest, depth, getTreeDirectoryDepth(entry.children, depth + 1)) : deepest
+  ), -1);
+}
+
+// Function to keep the exported symbols of a file. Files without export records (most languages other than
+// JavaScript/TypeScript) keep their top-level symbols
+function selectExportedSymbols(symbols) {
+  const exportedNames = new Set(symbols.exports.flatMap(exp => exp.items.map(item => item.name)));
+  const isExported = (record) => !record.parent && (exportedNames.size === 0 || exportedNames.has(record.name));
+
+  return {
+    ...Object.fromEntries(SYMBOL_CATEGORIES.map(category => [category, symbols[category].filter(isExported)])),
+    imports: [],
+    exports: symbols.exports,
+    namespaces: symbols.namespaces,
+    entities: symbols.entities
+  };
+}
+
+// Function to get the summary levels of a tree, from the full output to the most summarized one
+function getSummaryLevels(tree, includeSymbols) {
+  const levels = includeSymbols ? [{ symbols: 'all' }, { symbols: 'exported' }] : [];
+  levels.push({ symbols: 'none' }, { symbols: 'none', collapseHuge: true });
+  for (let depth = getTreeDirectoryDepth(tree); depth >= 1; depth--) {
+    levels.push({ symbols: 'none', collapseHuge: true, collapseDepth: depth });
+  }
+  return levels;
+}
+
+// Function to apply a summary level to a tree: limit symbol details and collapse directories into file counts
+function summarizeTree(entries, level, depth = 0) {
+  return entries.map(entry => {
+    if (entry.type === 'directory') {
+      const fileCount = countTreeFiles(entry.children);
+      if (depth >= (level.collapseDepth ?? Infinity) || (level.collapseHuge && fileCount > HUGE_DIRECTORY_FILES)) {
+        return { ...entry, children: [], collapsed: true, fileCount };
+      }
+      return { ...entry, children: summarizeTree(entry.children, level, depth + 1) };
+    }
+
+    if (entry.symbols && level.symbols === 'exported') {
+      return { ...entry, visibleSymbols: selectExportedSymbols(entry.symbols) };
+    }
+    return entry;
+  });
+}
+
+// Function to select the entries of a page (by pre-order index), keeping the directories above them as context
+function sliceTree(entries, start, end, counter = { index: 0 }) {
+  const sliced = [];
+  for (const entry of entries) {
+    const index = counter.index++;
+    if (index >= end) {
+      break;
+    }
+
+    const children = entry.type === 'directory' ? sliceTree(entry.children, start, end, counter) : [];
+    if (index >= start || children.length > 0) {
+      sliced.push(entry.type === 'directory' ? { ...entry, children } : entry);
+    }
+  }
+  return sliced;
+}
+
+// Function to list the entries of a tree in pre-order with their depth
+function flattenTree(entries, depth = 0) {
+  return entries.flatMap(entry => [
+    { entry: entry.type === 'directory' ? { ...entry, children: [] } : entry, depth },
+    ...(entry.type === 'directory' ? flattenTree(entry.children, depth + 1) : [])
+  ]);
+}
+
+// Function to encode a continuation cursor (the summary level and the first entry of the next page)
+function encodeCursor(level, offset) {
+  return Buffer.from(JSON.stringify({ level, offset })).toString('base64url');
+}
+
+// Function to decode a continuation cursor
+function decodeCursor(cursor) {
+  try {
+    const { level, offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (level && ['all', 'exported', 'none'].includes(level.symbols) && Number.isInteger(offset) && offset >= 0) {
+      return { level, offset };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new Error('Invalid cursor. Pass the nextCursor value returned by the previous call unchanged.');
+}
+
+// Function to fit a tree into an output budget. The full output is tried first; then symbol details are limited
+// to exported symbols, then dropped (counts stay), then huge and deep directories are collapsed into file counts.
+// When the most summarized tree still doesn't fit, the tree without collapsed directories is split into pages that
+// a cursor resumes, so walking the pages lists every entry. The preamble counts against the budget: when it would
+// take more than half of each page, the page asks for a compact one (level.compactSummary).
+// render(entries, { level, page, includeSymbols }) returns the complete output for a tree
+function fitTreeToBudget(tree, render, { budget, includeSymbols, cursor }) {
+  const levels = getSummaryLevels(tree, includeSymbols);
+  const renderLevel = (entries, level, page = null) => render(entries, { level, page, includeSymbols: includeSymbols && level.symbols !== 'none' });
+
+  let level = { symbols: 'none' };
+  let offset = 0;
+  if (cursor) {
+    ({ level, offset } = decodeCursor(cursor));
+  } else {
+    for (const candidate of levels) {
+      const output = renderLevel(summarizeTree(tree, candidate), candidate);
+      if (!budget || output.length <= budget) {
+        return { output, level: candidate };
+      }
+    }
+  }
+
+  // Fill the page with as many entries as the budget allows, always at least one
+  const summarized = summarizeTree(tree, level);
+  const total = countTreeEntries(summarized);
+  const placeholderPage = { start: offset, end: total, total, nextCursor: encodeCursor(level, total) };
+  if (!cursor && budget && renderLevel([], level, placeholderPage).length > budget / 2) {
+    level = { ...level, compactSummary: true };
+    placeholderPage.nextCursor = encodeCursor(level, total);
+  }
+  const emptyLength = renderLevel([], level, placeholderPage).length;
+  const entries = flattenTree(summarized);
+  const baseOutput = renderLevel([], level);
+  const baseLines = baseOutput.split('\n').length;
+  let end = offset;
+  let used = emptyLength;
+  while (end < total) {
+    const { entry, depth } = entries[end];
+    const entryOutput = renderLevel([entry], level);
+    const cost = entryOutput.length - baseOutput.length + depth * 4 * (entryOutput.split('\n').length - baseLines);
+    if (end > offset && budget && used + cost > budget) {
+      break;
+    }
+    used += cost;
+    end++;
+  }
+
+  // The estimate ignores the directories repeated above the page, so shrink the page until it fits
+  for (;;) {
+    const page = { start: offset, end, total, nextCursor: end < total ? encodeCursor(level, end) : null };
+    const output = renderLevel(sliceTree(summarized, offset, end), level, page);
+    if (!budget || output.length <= budget || end - offset <= 1) {
+      return { output, level, page };
+    }
+    end = offset + Math.max(1, Math.floor((end - offset) * 0.9));
+  }
+}
+
+// Function to describe how a summary level reduced the output
+function describeOutputLimits(level, includeSymbols) {
+  const notes = [];
+  if (includeSymbols && level.symbols === 'exported') notes.push('symbol details are limited to exported symbols');
+  if (includeSymbols && level.symbols === 'none') notes.push('symbol details are omitted (counts are kept)');
+  if (level.collapseHuge) notes.push(`directories with more than ${HUGE_DIRECTORY_FILES} files are collapsed into file counts`);
+  if (level.collapseDepth !== undefined) notes.push(`directories deeper than ${level.collapseDepth} level${level.collapseDepth === 1 ? '' : 's'} are collapsed into file counts`);
+  if (level.compactSummary) notes.push('the analysis summary is omitted');
+  return notes;
+}
+
+// Function to total the symbols stored during the last analysis
+function summarizeCodeSymbols() {
+  const totals = Object.fromEntries(
+    SYMBOL_CATEGORIES.map(category => [
+      category,
+      Object.values(codeSymbols[category]).reduce((sum, arr) => sum + arr.length, 0)
+    ])
+  );
+
+  return {
+    filesAnalyzed: codeSymbols.files.size,
+    totals
+  };
+}
+
+// Ignore options shared by the tools that walk a project
+const IGNORE_OPTIONS_SCHEMA = {
+  ignorePatterns: z.array(z.string()).optional().default([]).describe("Extra ignore patterns in .gitignore syntax, relative to the project root. They take precedence over .gitignore and .contextignore, so '!pattern' re-includes ignored files (e.g. ['!.github/', 'fixtures/'])."),
+  includeHidden: z.boolean().optional().default(false).describe("Whether to include hidden files and directories (names starting with '.'). .git is always skipped."),
+  respectGitignore: z.boolean().optional().default(true).describe("Whether to honor .gitignore files, .git/info/exclude and the global git excludes file (default: true).")
+};
+
+// Create an MCP Server
+const server = new McpServer({
+  name: "Context Provider MCP Server",
+  version: "1.0.0"
+});
+
+// Clients subscribe to resources (files and directories of watched projects) to be notified when they change
+server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+server.server.setRequestHandler(SubscribeRequestSchema, ({ params }) => {
+  resourceSubscriptions.add(params.uri);
+  return {};
+});
+server.server.setRequestHandler(UnsubscribeRequestSchema, ({ params }) => {
+  resourceSubscriptions.delete(params.uri);
+  return {};
+});
+
+// Add the get_code_context tool
+server.tool(
+  "get_code_context",
+  "Returns Complete Context of a given project directory, including directory tree, and code symbols. Useful for getting a quick overview of a project. Use this tool when you need to get a comprehensive overview of a project's codebase. Useful at the start of a new task.",
+  {
+    absolutePath: z.string().describe("Absolute path to the directory to analyze. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    analyzeJs: z.boolean().optional().default(false).describe("Whether to analyze source files (JavaScript/TypeScript, Python, Go, Rust, Java, C/C++, C#, Ruby and PHP). Returns the count of functions, variables, classes, imports, and exports in the codebase."),
+    includeSymbols: z.boolean().optional().default(false).describe("Whether to include code symbols in the response. Returns the code symbols for each file."),
+    symbolType: z.enum([...SYMBOL_CATEGORIES, 'all']).optional().default('all').describe("Type of symbols to include if includeSymbols is true. Otherwise, returns only the directory tree."),
+    docComments: z.enum(['summary', 'full', 'none']).optional().default('summary').describe("How much of each symbol's JSDoc, doc comment or Python docstring to include with includeSymbols: its first sentence ('summary', default), the full text ('full') or nothing ('none')."),
+    include: z.array(z.string()).optional().default([]).describe("Glob patterns of the files to list and analyze, relative to absolutePath. Supports '**', '{a,b}' braces and '!' to exclude (e.g. ['packages/api/**/*.{ts,tsx}', '!**/__tests__/**']). Globs without a slash match at any level."),
+    exclude: z.array(z.string()).optional().default([]).describe("Glob patterns of the files and directories to leave out of the tree and analysis (e.g. ['**/*.test.ts', 'docs/**'])."),
+    filePatterns: z.array(z.string()).optional().describe("File name patterns selecting which listed files are analyzed (e.g. ['*.js', '*.py', 'config.*']). Defaults to the supported languages."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth for code analysis (default: 5 levels). Directory tree will still be built for all levels. Reduce the depth if you only need a quick overview of the project."),
+    outputFormat: z.enum(['text', 'json', 'markdown']).optional().default('text').describe("Format of the response. 'text' returns an indented tree, 'markdown' a nested list, and 'json' a structured tree with file sizes, full symbol records and a summary object."),
+    useIndex: z.boolean().optional().default(true).describe("Whether to reuse the persistent symbol index for unchanged files (default: true). Set to false to re-parse every file without touching the index."),
+    maxTokens: z.number().optional().describe("Approximate token budget of the response. Larger outputs are summarized (symbol details limited to exported symbols, then dropped, then deep or huge directories collapsed into file counts) and finally split into pages."),
+    maxChars: z.number().optional().describe("Character budget of the response, like maxTokens. When both are given, the smaller budget wins."),
+    cursor: z.string().optional().describe("Continuation cursor returned by a previous call whose output didn't fit the budget. Pass it with the same parameters to get the next page of the tree."),
+    includeGit: z.boolean().optional().default(false).describe("Whether to annotate files with their git state: uncommitted changes (modified, added, untracked... and whether they are staged), last commit date and author, and churn (commits and changed lines) over the last churnDays days. Requires git and a git repository."),
+    churnDays: z.number().optional().default(90).describe("Window in days of the churn reported with includeGit (default: 90)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, analyzeJs, includeSymbols, symbolType, docComments = 'summary', include = [], exclude = [], filePatterns, maxDepth = 5, outputFormat = 'text', useIndex = true, maxTokens, maxChars, cursor, includeGit = false, churnDays = 90, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      // Check if the path is C:/ drive root or common non-project directories on Windows OS
+      if (process.platform === 'win32') {
+        // Check for C: drive root or common system directories that are not project directories
+        const nonProjectPaths = [
+          /^[cC]:[\\/]?$/,                // C:/ or C:
+          /^[cC]:[\\/]Users[\\/]?$/,      // C:/Users/
+          /^[cC]:[\\/]Windows[\\/]?$/,    // C:/Windows/
+          /^[cC]:[\\/]Program Files[\\/]?$/,  // C:/Program Files/
+          /^[cC]:[\\/]Program Files \(x86\)[\\/]?$/  // C:/Program Files (x86)/
+        ];
+
+        if (nonProjectPaths.some(regex => regex.test(absolutePath))) {
+          return {
+            content: [{ type: "text", text: "C drive is not a project directory. Try different path" }],
+            isError: true
+          };
+        }
+      }
+
+      // Ensure TreeSitter is initialized if we're going to analyze code
+      if (analyzeJs && !initialized) {
+        // Create parsers directory and ensure it exists
+        const parsersDir = ensureParsersDirectory();
+        console.error(`Using parsers directory: ${parsersDir}`);
+
+        // Initialize TreeSitter
+        await initializeTreeSitter();
+
+        if (!initialized) {
+          return {
+            content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+            isError: true
+          };
+        }
+      }
+
+      // Normalize path to handle both Windows and Unix-style paths
+      const normalizedPath = path.normalize(absolutePath);
+      console.error(`Analyzing directory: ${normalizedPath} (analyzeJs: ${analyzeJs}, maxAnalysisDepth: ${maxDepth !== 5 ? maxDepth : '5 (default)'})`);
+
+      // Reset code symbols if analyzing JS
+      if (analyzeJs) {
+        for (const category of SYMBOL_CATEGORIES) {
+          codeSymbols[category] = {};
+        }
+        codeSymbols.files = new Set();
+      }
+
+      // Reuse symbols of unchanged files from the project's persistent index
+      const symbolIndex = analyzeJs && useIndex ? getSymbolIndex(normalizedPath) : null;
+      if (symbolIndex) {
+        symbolIndex.stats = { reused: 0, parsed: 0 };
+      }
+
+      // Get the directory tree, passing along all the symbol-related parameters
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const fileFilter = createFileFilter(normalizedPath, { include, exclude, filePatterns });
+      const tree = await getDirectoryTree(
+        normalizedPath,
+        normalizedPath,
+        ignoreRules,
+        fileFilter,
+        analyzeJs,
+        0,
+        maxDepth,
+        symbolIndex
+      );
+
+      const summary = summarizeCodeSymbols();
+      if (symbolIndex) {
+        saveSymbolIndex(symbolIndex);
+        summary.index = { ...symbolIndex.stats };
+      }
+
+      // Annotate files with their uncommitted changes, last commit and churn
+      const gitInfo = includeGit ? getGitInfo(normalizedPath, { churnDays }) : null;
+      let gitSummary = '';
+      if (gitInfo) {
+        annotateTreeWithGit(tree, gitInfo);
+        gitSummary = `\n\nGit: branch ${gitInfo.branch}, ${gitInfo.changedFiles} file${gitInfo.changedFiles === 1 ? '' : 's'} with uncommitted changes, churn over the last ${churnDays} days`;
+      } else if (includeGit) {
+        gitSummary = '\n\nGit: not a git repository (or git is not installed)';
+      }
+
+      // Generate summary of analyzed files if applicable
+      let analysisSummary = '';
+      if (analyzeJs && summary.filesAnalyzed > 0) {
+        const { totals } = summary;
+        analysisSummary = `\n\nCode Analysis Summary:
+- Files analyzed: ${summary.filesAnalyzed}
+- Total functions: ${totals.functions}
+- Total variables: ${totals.variables}
+- Total classes: ${totals.classes}`;
+
+        // Language-specific categories are listed only when the project has any
+        if (totals.interfaces > 0) analysisSummary += `\n- Total interfaces: ${totals.interfaces}`;
+        if (totals.types > 0) analysisSummary += `\n- Total types: ${totals.types}`;
+        if (totals.enums > 0) analysisSummary += `\n- Total enums: ${totals.enums}`;
+        if (totals.namespaces > 0) analysisSummary += `\n- Total namespaces: ${totals.namespaces}`;
+        if (totals.entities > 0) analysisSummary += `\n- Total entities: ${totals.entities}`;
+
+        if (summary.index) {
+          analysisSummary += `\n- Files reused from index: ${summary.index.reused}`;
+          analysisSummary += `\n- Files re-parsed: ${summary.index.parsed}`;
+        }
+
+        // Add language support info and custom pattern info
+        if (include.length > 0 || exclude.length > 0) {
+          const filters = [];
+          if (include.length > 0) filters.push(`include ${include.join(', ')}`);
+          if (exclude.length > 0) filters.push(`exclude ${exclude.join(', ')}`);
+          analysisSummary += `\n\nFiles filtered with ${filters.join('; ')}`;
+        }
+        if (filePatterns && filePatterns.length > 0) {
+          analysisSummary += `\n\nAnalyzed files matching patterns: ${filePatterns.join(', ')}`;
+        } else {
+          analysisSummary += `\n\nNote: Symbol analysis is supported for JavaScript/TypeScript (.js, .jsx, .mjs, .cjs, .ts, .tsx, .mts, .cts), Python (.py), Go (.go), Rust (.rs), Java (.java), C/C++ (.c, .h, .cpp, .cc, .hpp), C# (.cs), Ruby (.rb) and PHP (.php) files only.`;
+        }
+
+        // Add depth limit info if applicable
+        if (maxDepth !== 5) {
+          analysisSummary += `\n\nCode analysis limited to a maximum depth of ${maxDepth} directory levels.`;
+        } else {
+          analysisSummary += `\n\nCode analysis limited to a maximum depth of 5 directory levels (default).`;
+        }
+      }
+
+      // Render the tree, summarizing and paging it when it exceeds the output budget
+      const budget = getOutputBudget(maxTokens, maxChars);
+      const renderOutput = (entries, { level, page, includeSymbols: withSymbols }) => {
+        const limits = describeOutputLimits(level, includeSymbols);
+        // Pages whose preamble would crowd out the tree leave the analysis and git summaries out
+        const compact = Boolean(level.compactSummary);
+
+        // Return structured data as a JSON resource so clients don't have to parse the text tree
+        if (outputFormat === 'json') {
+          const result = {
+            root: normalizedPath,
+            summary: analyzeJs && !compact ? { ...summary, maxDepth } : null,
+            git: gitInfo && !compact ? { branch: gitInfo.branch, changedFiles: gitInfo.changedFiles, churnDays } : null,
+            tree: formatTreeAsJson(entries, normalizedPath, withSymbols, symbolType, docComments)
+          };
+          if (limits.length > 0 || page) {
+            result.output = { budget, limits, page: page ? { start: page.start, end: page.end, total: page.total } : null, nextCursor: page?.nextCursor || null };
+          }
+          return JSON.stringify(result, null, 2);
+        }
+
+        if (page) {
+          limits.push(`showing entries ${page.start + 1}-${page.end} of ${page.total}${page.nextCursor ? `; call again with cursor "${page.nextCursor}" for the rest` : ''}`);
+        }
+        const limitsNote = limits.length > 0 ? `\n\nOutput ${budget ? `limited to ${budget} characters` : 'resumed from a cursor'}: ${limits.join('; ')}.` : '';
+        if (outputFormat === 'markdown') {
+          const markdownSummary = compact ? '' : analysisSummary.replace(/^\n\nCode Analysis Summary:/, '\n\n## Code Analysis Summary\n') + gitSummary;
+          return `# Directory structure for: ${normalizedPath}${markdownSummary}${limitsNote}\n\n## Tree\n\n${formatTreeAsMarkdown(entries, 0, withSymbols, symbolType, docComments, churnDays)}`;
+        }
+        return `Directory structure for: ${normalizedPath}${compact ? '' : analysisSummary + gitSummary}${limitsNote}\n\n${formatTreeAsText(entries, '', withSymbols, symbolType, docComments, churnDays)}`;
+      };
+      const { output } = fitTreeToBudget(tree, renderOutput, { budget, includeSymbols, cursor });
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: output
+              }
+            }
+          ]
+        };
+      }
+
+      // Return the result
+      return {
+        content: [
+          {
+            type: "text",
+            text: output
+          }
+        ]
+      };
+    } catch (error) {
+      console.error(`Error in get_code_context tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the find_symbol tool
+server.tool(
+  "find_symbol",
+  "Finds where a symbol (function, method, class, variable, interface, type, enum or namespace) is defined across a project. Returns every matching definition with its file, line range and parent class. Use this tool to jump straight to a definition instead of reading the whole project tree.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory to search. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    name: z.string().describe("Name of the symbol to find. Treated as an exact name unless useRegex is true."),
+    useRegex: z.boolean().optional().default(false).describe("Whether to treat name as a regular expression (e.g. '^handle.*Request$')."),
+    kind: z.enum(['function', 'method', 'class', 'variable', 'interface', 'type', 'enum', 'namespace', 'all']).optional().default('all').describe("Kind of symbol to match."),
+    language: z.enum(['javascript', 'typescript', 'python', 'go', 'rust', 'java', 'c', 'cpp', 'csharp', 'ruby', 'php', 'all']).optional().default('all').describe("Only search files of this language."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to search (default: 5 levels)."),
+    maxResults: z.number().optional().default(100).describe("Maximum number of definitions to return (default: 100)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, name, useRegex, kind, language, maxDepth = 5, maxResults = 100, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      let matcher;
+      try {
+        matcher = useRegex ? new RegExp(name) : null;
+      } catch (error) {
+        return {
+          content: [{ type: "text", text: `Error: Invalid regular expression: ${error.message}` }],
+          isError: true
+        };
+      }
+      const matchesName = (symbolName) => matcher ? matcher.test(symbolName) : symbolName === name;
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Finding symbol '${name}' in ${normalizedPath} (kind: ${kind}, language: ${language})`);
+
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+
+      const files = collectSourceFiles(normalizedPath, normalizedPath, ignoreRules, null, 0, maxDepth)
+        .filter(filePath => language === 'all' || getLanguageName(filePath) === language);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const matches = [];
+      for (const filePath of files) {
+        const symbols = await getFileSymbols(filePath, symbolIndex);
+        if (!symbols) continue;
+
+        for (const definition of listSymbolDefinitions(symbols)) {
+          if ((kind === 'all' || definition.kind === kind) && matchesName(definition.name)) {
+            matches.push({ ...definition, file: filePath });
+          }
+        }
+      }
+
+      saveSymbolIndex(symbolIndex);
+
+      if (matches.length === 0) {
+        return {
+          content: [{ type: "text", text: `No definitions matching '${name}' found in ${normalizedPath} (searched ${files.length} files).` }]
+        };
+      }
+
+      const shown = matches.slice(0, maxResults);
+      let text = `Found ${matches.length} definition${matches.length === 1 ? '' : 's'} matching '${name}' in ${normalizedPath}:\n\n`;
+      text += shown.map(match => {
+        const relativePath = path.relative(normalizedPath, match.file).replace(/\\/g, '/');
+        return `- ${match.kind} ${match.name}${match.parent ? ` (in ${match.parent})` : ''} — ${relativePath}:${match.position.startLine}-${match.position.endLine}`;
+      }).join('\n');
+
+      if (matches.length > shown.length) {
+        text += `\n\n... ${matches.length - shown.length} more results not shown. Narrow the search or increase maxResults.`;
+      }
+
+      return {
+        content: [{ type: "text", text }]
+      };
+    } catch (error) {
+      console.error(`Error in find_symbol tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the list_routes tool
+server.tool(
+  "list_routes",
+  "Lists the HTTP routes a project registers: Express, Fastify and Koa routes (app.get('/orders', handler)), Flask and FastAPI endpoints (@app.route, @router.get) and Django URL patterns (path('orders/', view)). Returns each route's methods, path, handler and location. Use this tool to find where a URL is handled.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory to search. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    path: z.string().optional().describe("Only list routes whose path contains this text (e.g. '/orders')."),
+    method: z.string().optional().describe("Only list routes that accept this HTTP method (e.g. 'POST'). Routes registered for all methods always match."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to search (default: 5 levels)."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the response."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, path: pathFilter, method, maxDepth = 5, outputFormat = 'text', ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Listing routes in ${normalizedPath}`);
+
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const files = collectSourceFiles(normalizedPath, normalizedPath, ignoreRules, null, 0, maxDepth);
+
+      const wantedMethod = method?.toUpperCase();
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const routes = [];
+      for (const filePath of files) {
+        const symbols = await getFileSymbols(filePath, symbolIndex);
+        if (!symbols) continue;
+
+        for (const entity of symbols.entities) {
+          if (entity.kind !== 'route') continue;
+          if (pathFilter && !entity.path.includes(pathFilter)) continue;
+          if (wantedMethod && !entity.methods.some(m => m === wantedMethod || m === 'ALL' || m === 'ANY')) continue;
+          routes.push({
+            methods: entity.methods,
+            path: entity.path,
+            handler: entity.handler,
+            file: path.relative(normalizedPath, filePath).replace(/\\/g, '/'),
+            line: entity.position.startLine
+          });
+        }
+      }
+
+      saveSymbolIndex(symbolIndex);
+      routes.sort((a, b) => a.path.localeCompare(b.path) || a.file.localeCompare(b.file) || a.line - b.line);
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ root: normalizedPath, routes }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      if (routes.length === 0) {
+        return {
+          content: [{ type: "text", text: `No routes${pathFilter || method ? ' matching the filters' : ''} found in ${normalizedPath} (searched ${files.length} files).` }]
+        };
+      }
+
+      let text = `Found ${routes.length} route${routes.length === 1 ? '' : 's'} in ${normalizedPath}:\n\n`;
+      text += routes.map(route => `- ${route.methods.join(',')} ${route.path}${route.handler ? ` → ${route.handler}` : ''} — ${route.file}:${route.line}`).join('\n');
+
+      return {
+        content: [{ type: "text", text }]
+      };
+    } catch (error) {
+      console.error(`Error in list_routes tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Metric each sort order ranks functions by, and files and directories by
+const METRIC_SORT_KEYS = {
+  cognitive: { function: 'cognitive', file: 'cognitive', label: 'cognitive complexity' },
+  cyclomatic: { function: 'cyclomatic', file: 'cyclomatic', label: 'cyclomatic complexity' },
+  lines: { function: 'codeLines', file: 'codeLines', label: 'lines of code' },
+  nesting: { function: 'maxNesting', file: 'maxNesting', label: 'nesting depth' },
+  parameters: { function: 'parameters', file: 'maxParameters', label: 'parameter count' }
+};
+
+// Function to add the metrics of a file into the totals of a directory. Complexity metrics are null for languages
+// whose query has no '@metric.*' captures, and left out
+function addFileMetrics(totals, metrics) {
+  for (const key of ['lines', 'codeLines', 'functions', 'cyclomatic', 'cognitive']) {
+    totals[key] += metrics[key] ?? 0;
+  }
+  for (const key of ['maxCyclomatic', 'maxCognitive', 'maxNesting', 'maxParameters']) {
+    totals[key] = Math.max(totals[key], metrics[key] ?? 0);
+  }
+}
+
+// Add the get_code_metrics tool
+server.tool(
+  "get_code_metrics",
+  "Measures the code of a project: cyclomatic and cognitive complexity, lines of code, parameter count and nesting depth of every function, rolled up per file and per directory. Returns the project totals and the top hotspots: the most complex functions, files and directories. Use this tool to find code that is hard to read, test or change.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory to measure. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    top: z.number().optional().default(10).describe("Number of hotspots to list for functions, files and directories (default: 10)."),
+    sortBy: z.enum(['cognitive', 'cyclomatic', 'lines', 'nesting', 'parameters']).optional().default('cognitive').describe("Metric to rank hotspots by (default: 'cognitive'). Files and directories are ranked by their total complexity, lines of code, or the deepest nesting and longest parameter list of their functions."),
+    language: z.enum(['javascript', 'typescript', 'python', 'go', 'rust', 'java', 'c', 'cpp', 'csharp', 'ruby', 'php', 'all']).optional().default('all').describe("Only measure files of this language."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to measure (default: 5 levels)."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the response."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, top = 10, sortBy = 'cognitive', language = 'all', maxDepth = 5, outputFormat = 'text', ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Measuring code in ${normalizedPath} (sort by: ${sortBy}, language: ${language})`);
+
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const files = collectSourceFiles(normalizedPath, normalizedPath, ignoreRules, null, 0, maxDepth)
+        .filter(filePath => language === 'all' || getLanguageName(filePath) === language);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const emptyTotals = () => ({ lines: 0, codeLines: 0, functions: 0, cyclomatic: 0, cognitive: 0, maxCyclomatic: 0, maxCognitive: 0, maxNesting: 0, maxParameters: 0 });
+      const totals = { files: 0, ...emptyTotals() };
+      const functionMetrics = [];
+      const fileMetrics = [];
+      const directoryMetrics = new Map();
+      const unmeasuredFiles = [];
+      for (const filePath of files) {
+        const symbols = await getFileSymbols(filePath, symbolIndex);
+        if (!symbols?.metrics) continue;
+
+        const relativePath = path.relative(normalizedPath, filePath).replace(/\\/g, '/');
+        totals.files++;
+        if (symbols.metrics.cyclomatic === null) unmeasuredFiles.push(filePath);
+        addFileMetrics(totals, symbols.metrics);
+        fileMetrics.push({ file: relativePath, ...symbols.metrics });
+
+        // Directories add up the files anywhere inside them
+        for (let dir = path.posix.dirname(relativePath); dir !== '.'; dir = path.posix.dirname(dir)) {
+          if (!directoryMetrics.has(dir)) directoryMetrics.set(dir, { directory: dir, files: 0, ...emptyTotals() });
+          directoryMetrics.get(dir).files++;
+          addFileMetrics(directoryMetrics.get(dir), symbols.metrics);
+        }
+
+        for (const fn of symbols.functions) {
+          functionMetrics.push({ name: fn.name, parent: fn.parent, file: relativePath, line: fn.position.startLine, ...fn.metrics });
+        }
+      }
+      saveSymbolIndex(symbolIndex);
+
+      const { function: functionKey, file: fileKey, label } = METRIC_SORT_KEYS[sortBy];
+      const rank = (records, key) => records
+        .filter(record => record[key] > 0)
+        .sort((a, b) => b[key] - a[key] || b.cognitive - a.cognitive || (a.file || a.directory).localeCompare(b.file || b.directory))
+        .slice(0, top);
+      const hotspots = {
+        functions: rank(functionMetrics, functionKey),
+        files: rank(fileMetrics, fileKey),
+        directories: rank([...directoryMetrics.values()], fileKey)
+      };
+      // Complexity is averaged over the functions it was measured for
+      const measuredFunctions = functionMetrics.filter(fn => fn.cyclomatic !== null).length;
+      const unmeasuredLanguages = [...new Set(unmeasuredFiles.map(filePath => getLanguageName(filePath) || path.extname(filePath)))].sort();
+      const averages = {
+        cyclomatic: measuredFunctions > 0 ? Math.round(totals.cyclomatic / measuredFunctions * 10) / 10 : 0,
+        cognitive: measuredFunctions > 0 ? Math.round(totals.cognitive / measuredFunctions * 10) / 10 : 0,
+        codeLines: totals.functions > 0 ? Math.round(functionMetrics.reduce((sum, fn) => sum + fn.codeLines, 0) / totals.functions * 10) / 10 : 0
+      };
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ root: normalizedPath, sortBy, totals, averages, unmeasuredLanguages, hotspots }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      if (totals.files === 0) {
+        return {
+          content: [{ type: "text", text: `No supported source files found in ${normalizedPath} (searched ${files.length} files).` }]
+        };
+      }
+
+      let text = `Code metrics for ${normalizedPath}: ${totals.files} file${totals.files === 1 ? '' : 's'}, ${totals.functions} function${totals.functions === 1 ? '' : 's'}, ${totals.codeLines} lines of code\n`;
+      if (measuredFunctions > 0 || unmeasuredFiles.length === 0) {
+        text += `- Cyclomatic complexity: ${totals.cyclomatic} total, ${averages.cyclomatic} per function, ${totals.maxCyclomatic} at most\n`;
+        text += `- Cognitive complexity: ${totals.cognitive} total, ${averages.cognitive} per function, ${totals.maxCognitive} at most\n`;
+      } else {
+        text += `- Complexity: not measured\n`;
+      }
+      text += `- Function size: ${averages.codeLines} lines of code on average;${measuredFunctions > 0 || unmeasuredFiles.length === 0 ? ` deepest nesting ${totals.maxNesting},` : ''} longest parameter list ${totals.maxParameters}\n`;
+
+      const describeTotals = (record) => `${record.cyclomatic === null ? 'complexity not measured' : `cognitive ${record.cognitive} (max ${record.maxCognitive}), cyclomatic ${record.cyclomatic} (max ${record.maxCyclomatic}), nesting ${record.maxNesting}`}, ${record.codeLines} lines of code, ${record.functions} function${record.functions === 1 ? '' : 's'}`;
+      if (hotspots.functions.length > 0) {
+        text += `\nTop functions by ${label}:\n`;
+        text += hotspots.functions.map(fn => {
+          const complexity = fn.cyclomatic === null ? 'complexity not measured' : `cognitive ${fn.cognitive}, cyclomatic ${fn.cyclomatic}, nesting ${fn.maxNesting}`;
+          return `- ${fn.file}:${fn.line} ${fn.name}${fn.parent ? ` (in ${fn.parent})` : ''} — ${complexity}, ${fn.codeLines} lines, ${fn.parameters} param${fn.parameters === 1 ? '' : 's'}`;
+        }).join('\n') + '\n';
+      }
+      if (hotspots.files.length > 0) {
+        text += `\nTop files by ${label}:\n`;
+        text += hotspots.files.map(file => `- ${file.file} — ${describeTotals(file)}`).join('\n') + '\n';
+      }
+      if (hotspots.directories.length > 0) {
+        text += `\nTop directories by ${label}:\n`;
+        text += hotspots.directories.map(dir => `- ${dir.directory}/ — ${dir.files} file${dir.files === 1 ? '' : 's'}, ${describeTotals(dir)}`).join('\n') + '\n';
+      }
+      if (unmeasuredFiles.length > 0) {
+        text += `\n(Complexity not measured for ${unmeasuredFiles.length} file${unmeasuredFiles.length === 1 ? '' : 's'}: the ${unmeasuredLanguages.join(', ')} quer${unmeasuredLanguages.length === 1 ? 'y has' : 'ies have'} no '@metric.*' captures)`;
+      }
+
+      return {
+        content: [{ type: "text", text: text.trimEnd() }]
+      };
+    } catch (error) {
+      console.error(`Error in get_code_metrics tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Function to get the commit changes since a git ref are compared from: the merge base of the ref and HEAD, so
+// changes made on the ref after the branch point are left out. Returns null for unknown refs
+function getGitMergeBase(dirPath, ref) {
+  const commit = runGit(dirPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  if (!commit) {
+    return null;
+  }
+  return (runGit(dirPath, ['merge-base', commit.trim(), 'HEAD']) || commit).trim();
+}
+
+// Function to list the files changed since a base commit with the symbols their changes touch. Symbols are read
+// from the working tree when uncommitted changes are included, from HEAD otherwise, and from the base for deleted files
+async function collectChangedFiles(dirPath, workTree, base, includeUncommitted, symbolIndex) {
+  const diffArgs = includeUncommitted ? [base] : [base, 'HEAD'];
+  const changes = getGitChangedFiles(workTree, dirPath, diffArgs, includeUncommitted);
+  if (changes === null) {
+    return null;
+  }
+  const changedLines = getGitChangedLines(workTree, dirPath, diffArgs);
+
+  // Helper to read a file as of a commit, relative to the work tree
+  const showFile = (commit, filePath) => runGit(dirPath, ['show', `${commit}:${path.relative(workTree, filePath).replace(/\\/g, '/')}`]);
+
+  const files = [];
+  for (const [filePath, change] of [...changes].sort(([a], [b]) => a.localeCompare(b))) {
+    const ranges = changedLines.get(filePath) || [];
+    let symbols = null;
+    if (isSupportedFile(filePath)) {
+      if (change.status === 'deleted') {
+        // Deleted files list the symbols they had
+        const content = showFile(base, filePath);
+        symbols = content === null ? null : await extractCodeSymbols(filePath, content);
+      } else if (includeUncommitted) {
+        symbols = fs.existsSync(filePath) ? await getFileSymbols(filePath, symbolIndex) : null;
+      } else {
+        const content = showFile('HEAD', filePath);
+        symbols = content === null ? null : await extractCodeSymbols(filePath, content);
+      }
+    }
+    if (change.status === 'untracked' && fs.existsSync(filePath)) {
+      change.added = fs.readFileSync(filePath, 'utf8').split('\n').filter((line, i, lines) => i < lines.length - 1 || line).length;
+    }
+
+    // Added, untracked and deleted files touch every symbol they have
+    const wholeFile = ['added', 'untracked', 'deleted'].includes(change.status);
+    const touched = symbols ? listSymbolDefinitions(symbols)
+      .filter(definition => definition.kind !== 'namespace')
+      .filter(definition => wholeFile || ranges.some(range => range.startLine <= definition.position.endLine && range.endLine >= definition.position.startLine))
+      .sort((a, b) => a.position.startLine - b.position.startLine || b.position.endLine - a.position.endLine)
+      .map(definition => ({ kind: definition.kind, name: definition.name, parent: definition.parent, startLine: definition.position.startLine, endLine: definition.position.endLine }))
+      : [];
+
+    files.push({
+      file: path.relative(dirPath, filePath).replace(/\\/g, '/'),
+      status: change.status,
+      added: change.added,
+      deleted: change.deleted,
+      changedLines: wholeFile ? [] : ranges,
+      symbols: touched
+    });
+  }
+  return files;
+}
+
+// Function to format changed files and their touched symbols as a text list
+function formatChangedFilesAsText(files) {
+  return files.map(file => {
+    const lineRanges = file.changedLines.map(range => range.startLine === range.endLine ? `${range.startLine}` : `${range.startLine}-${range.endLine}`);
+    let fileText = `- ${file.status} ${file.file} (+${file.added} -${file.deleted})${lineRanges.length > 0 ? `, lines ${lineRanges.join(', ')}` : ''}`;
+    for (const symbol of file.symbols) {
+      fileText += `\n  - ${symbol.kind} ${symbol.name}${symbol.parent ? ` (in ${symbol.parent})` : ''} [${symbol.startLine}-${symbol.endLine}]`;
+    }
+    return fileText;
+  }).join('\n');
+}
+
+// Add the get_changed_context tool
+server.tool(
+  "get_changed_context",
+  "Returns only the files and symbols changed since a git ref (a branch, tag or commit): each changed file with its status, added and deleted lines and changed line ranges, and the functions, methods, classes and other definitions the changes touch. Changes are taken from the merge base of the ref and HEAD, so passing the target branch reviews the current branch. Use this tool when reviewing a branch or uncommitted work.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory (inside a git repository). For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    since: z.string().optional().default('HEAD').describe("Git ref to compare with (e.g. 'main', 'origin/main', 'v1.2.0', 'HEAD~3'). Default: 'HEAD', i.e. the uncommitted changes only."),
+    includeUncommitted: z.boolean().optional().default(true).describe("Whether to include staged, unstaged and untracked changes of the working tree (default: true). When false, only committed changes up to HEAD are compared."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the response.")
+  },
+  async ({ absolutePath, since = 'HEAD', includeUncommitted = true, outputFormat = 'text' }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      const repository = findGitRepository(normalizedPath);
+      if (!repository) {
+        return {
+          content: [{ type: "text", text: `Error: Not a git repository: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      const base = getGitMergeBase(normalizedPath, since);
+      if (!base) {
+        return {
+          content: [{ type: "text", text: `Error: Unknown git ref: ${since}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Finding changes in ${normalizedPath} since ${since} (merge base: ${base.slice(0, 7)}, uncommitted: ${includeUncommitted})`);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const files = await collectChangedFiles(normalizedPath, repository.workTree, base, includeUncommitted, symbolIndex);
+      if (files === null) {
+        return {
+          content: [{ type: "text", text: `Error: Failed to read the changes since ${since}` }],
+          isError: true
+        };
+      }
+      saveSymbolIndex(symbolIndex);
+
+      const scope = includeUncommitted ? 'including uncommitted changes' : 'committed changes only';
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ root: normalizedPath, since, base, includeUncommitted, files }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      if (files.length === 0) {
+        return {
+          content: [{ type: "text", text: `No changes in ${normalizedPath} since ${since} (${scope}).` }]
+        };
+      }
+
+      const totalAdded = files.reduce((sum, file) => sum + file.added, 0);
+      const totalDeleted = files.reduce((sum, file) => sum + file.deleted, 0);
+      let text = `Changes in ${normalizedPath} since ${since} (merge base ${base.slice(0, 7)}, ${scope}): ${files.length} file${files.length === 1 ? '' : 's'}, +${totalAdded} -${totalDeleted}\n\n`;
+      text += formatChangedFilesAsText(files);
+
+      return {
+        content: [{ type: "text", text }]
+      };
+    } catch (error) {
+      console.error(`Error in get_changed_context tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Order in which symbol diffs match kinds: containers first, so methods follow their renamed classes
+const SYMBOL_DIFF_KINDS = ['class', 'interface', 'type', 'enum', 'export', 'function', 'method'];
+
+// Function to list the symbols of a file that a symbol diff compares: functions, methods, classes, interfaces, types,
+// enums and the exported names not declared by them, each with a signature and its code (sliced from the file's lines).
+// Symbols count as exported when the file exports their name (or, in files without export records, when they are
+// top-level); methods when their class is
+function listDiffableSymbols(symbols, lines) {
+  const code = (record) => getRecordSource(lines, record.position);
+  const exportedNames = new Set(symbols.exports.flatMap(exp => exp.items.map(item => item.name)));
+  const isExported = (name) => exportedNames.size === 0 || exportedNames.has(name);
+  const collapse = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const records = [];
+
+  for (const c of symbols.classes) {
+    records.push({ kind: 'class', name: c.name, parent: null, exported: isExported(c.name), signature: collapse(code(c).split(/[{\n]/)[0]), code: code(c), position: c.position });
+  }
+  for (const iface of symbols.interfaces) {
+    const members = iface.members.map(m => `${m.name}${m.optional ? '?' : ''}${m.kind === 'method' ? formatSignature(m) : m.type ? `: ${m.type}` : ''}`);
+    const signature = `${iface.name}${iface.typeParameters || ''}${iface.extends.length > 0 ? ` extends ${iface.extends.join(', ')}` : ''} { ${members.join('; ')} }`;
+    records.push({ kind: 'interface', name: iface.name, parent: null, exported: isExported(iface.name), signature, code: code(iface), position: iface.position });
+  }
+  for (const t of symbols.types) {
+    records.push({ kind: 'type', name: t.name, parent: null, exported: isExported(t.name), signature: collapse(`${t.name}${t.typeParameters || ''} = ${t.value}`), code: code(t), position: t.position });
+  }
+  for (const e of symbols.enums) {
+    const members = e.members.map(m => m.value === null ? m.name : `${m.name} = ${m.value}`);
+    records.push({ kind: 'enum', name: e.name, parent: null, exported: isExported(e.name), signature: `${e.name} { ${members.join(', ')} }`, code: code(e), position: e.position });
+  }
+  const exportedClasses = new Set(records.filter(r => r.kind === 'class' && r.exported).map(r => r.name));
+  for (const fn of symbols.functions) {
+    if (fn.name === 'anonymous') continue;
+    records.push({
+      kind: fn.parent ? 'method' : 'function',
+      name: fn.name,
+      parent: fn.parent,
+      exported: fn.parent ? exportedClasses.has(fn.parent) : isExported(fn.name),
+      signature: `${formatFunctionModifiers(fn)}${fn.name}${fn.typeParameters || ''}${formatSignature(fn)}`,
+      code: code(fn),
+      position: fn.position
+    });
+  }
+
+  // Exported names are listed when no declaration above covers them (re-exports, aliases, exported variables)
+  const declaredNames = new Set(records.filter(r => !r.parent).map(r => r.name));
+  for (const exp of symbols.exports) {
+    for (const item of exp.items) {
+      const name = item.alias || item.name;
+      if (!exp.source && !item.alias && declaredNames.has(name)) continue;
+      const signature = `${name}${exp.source ? ` from ${exp.source}` : ''}`;
+      records.push({ kind: 'export', name, parent: null, exported: true, signature, code: signature, position: exp.position });
+    }
+  }
+  return records;
+}
+
+// Function to measure how similar two pieces of code are: the share of their non-blank lines they have in common
+function getLineSimilarity(a, b) {
+  const linesA = a.split('\n').map(line => line.trim()).filter(Boolean);
+  const linesB = b.split('\n').map(line => line.trim()).filter(Boolean);
+  if (linesA.length + linesB.length === 0) return 1;
+
+  const counts = new Map();
+  for (const line of linesA) counts.set(line, (counts.get(line) || 0) + 1);
+  let common = 0;
+  for (const line of linesB) {
+    if (counts.get(line) > 0) {
+      counts.set(line, counts.get(line) - 1);
+      common++;
+    }
+  }
+  return (2 * common) / (linesA.length + linesB.length);
+}
+
+// Function to diff the symbols of two versions of a file, each given as { symbols, content } (null for a missing
+// version). Symbols are matched by kind, parent and name; a removed and an added symbol of the same kind and parent
+// are a rename when their code is the same apart from the name, or mostly the same. Returns the changes: added,
+// removed, renamed, signature-changed and modified (same signature, different code)
+function diffFileSymbols(beforeVersion, afterVersion) {
+  const list = (version) => version ? listDiffableSymbols(version.symbols, version.content.split(/\r?\n/)) : [];
+  const before = list(beforeVersion);
+  const after = list(afterVersion);
+  const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+  const escapeName = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const changes = [];
+  const renamedParents = new Map();
+
+  const describe = (change, record, previous = null) => ({
+    change,
+    kind: record.kind,
+    name: record.name,
+    parent: record.parent,
+    previousName: previous && previous.name !== record.name ? previous.name : null,
+    exported: record.exported || Boolean(previous?.exported),
+    before: previous ? previous.signature : change === 'removed' ? record.signature : null,
+    after: change === 'removed' ? null : record.signature,
+    line: record.position.startLine
+  });
+
+  for (const kind of SYMBOL_DIFF_KINDS) {
+    // Methods of renamed classes are matched under the new class name
+    const removed = before.filter(r => r.kind === kind).map(r => ({ ...r, parent: renamedParents.get(r.parent) || r.parent }));
+    const added = [];
+    const keyOf = (record) => `${record.parent || ''}\0${record.name}`;
+    const byKey = new Map();
+    for (const record of removed) {
+      if (!byKey.has(keyOf(record))) byKey.set(keyOf(record), []);
+      byKey.get(keyOf(record)).push(record);
+    }
+
+    for (const record of after.filter(r => r.kind === kind)) {
+      // Overloads with the same name pair up in order
+      const previous = byKey.get(keyOf(record))?.shift();
+      if (!previous) {
+        added.push(record);
+        continue;
+      }
+      removed.splice(removed.indexOf(previous), 1);
+      if (previous.signature !== record.signature) {
+        changes.push(describe('signature-changed', record, previous));
+      } else if (collapse(previous.code) !== collapse(record.code)) {
+        changes.push(describe('modified', record, previous));
+      }
+    }
+
+    // Pair the remaining symbols into renames, best match first
+    if (kind !== 'export') {
+      const candidates = [];
+      for (const previous of removed) {
+        for (const record of added) {
+          if (previous.parent !== record.parent) continue;
+          const renamedCode = previous.code.replace(new RegExp(`\\b${escapeName(previous.name)}\\b`, 'g'), record.name);
+          const similarity = collapse(renamedCode) === collapse(record.code) ? 1 : getLineSimilarity(renamedCode, record.code);
+          if (similarity >= 0.8) candidates.push({ previous, record, similarity });
+        }
+      }
+      candidates.sort((a, b) => b.similarity - a.similarity);
+      for (const { previous, record } of candidates) {
+        if (!removed.includes(previous) || !added.includes(record)) continue;
+        removed.splice(removed.indexOf(previous), 1);
+        added.splice(added.indexOf(record), 1);
+        changes.push(describe('renamed', record, previous));
+        if (kind === 'class' || kind === 'interface' || kind === 'enum') renamedParents.set(previous.name, record.name);
+      }
+    }
+
+    changes.push(...removed.map(record => describe('removed', record)));
+    changes.push(...added.map(record => describe('added', record)));
+  }
+
+  return changes.sort((a, b) => a.line - b.line);
+}
+
+// Add the get_symbol_diff tool
+server.tool(
+  "get_symbol_diff",
+  "Compares the symbols of two git revisions: which functions, methods, classes, interfaces, types, enums and exports were added, removed, renamed, had their signature changed or their body modified. Both versions of every changed file are parsed and their symbols matched. Each change is flagged when it affects an exported symbol. Use this tool to summarize API-impacting changes for a review or release notes.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory (inside a git repository). For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    from: z.string().describe("Git ref of the old version (e.g. 'v1.2.0', 'main', 'HEAD~5')."),
+    to: z.string().optional().default('HEAD').describe("Git ref of the new version (default: 'HEAD')."),
+    exportedOnly: z.boolean().optional().default(false).describe("Only list changes to exported symbols, i.e. the public API (default: false)."),
+    includeModified: z.boolean().optional().default(true).describe("Whether to list symbols whose body changed but whose signature didn't (default: true)."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the response.")
+  },
+  async ({ absolutePath, from, to = 'HEAD', exportedOnly = false, includeModified = true, outputFormat = 'text' }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      const repository = findGitRepository(normalizedPath);
+      if (!repository) {
+        return {
+          content: [{ type: "text", text: `Error: Not a git repository: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      const commits = {};
+      for (const [label, ref] of [['from', from], ['to', to]]) {
+        const commit = runGit(normalizedPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+        if (!commit) {
+          return {
+            content: [{ type: "text", text: `Error: Unknown git ref: ${ref}` }],
+            isError: true
+          };
+        }
+        commits[label] = commit.trim();
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Diffing symbols in ${normalizedPath} from ${from} to ${to}`);
+
+      const changedFiles = getGitChangedFiles(repository.workTree, normalizedPath, [commits.from, commits.to], false);
+      if (changedFiles === null) {
+        return {
+          content: [{ type: "text", text: `Error: Failed to read the changes from ${from} to ${to}` }],
+          isError: true
+        };
+      }
+
+      // Helper to parse a file as of a commit; missing (or unparseable) files have no symbols
+      const getVersionAt = async (commit, filePath) => {
+        const content = runGit(normalizedPath, ['show', `${commit}:${path.relative(repository.workTree, filePath).replace(/\\/g, '/')}`]);
+        const symbols = content === null ? null : await extractCodeSymbols(filePath, content);
+        return symbols ? { symbols, content } : null;
+      };
+
+      const files = [];
+      for (const [filePath, { status }] of [...changedFiles].sort(([a], [b]) => a.localeCompare(b))) {
+        if (!isSupportedFile(filePath)) continue;
+        const beforeVersion = status === 'added' ? null : await getVersionAt(commits.from, filePath);
+        const afterVersion = status === 'deleted' ? null : await getVersionAt(commits.to, filePath);
+        const changes = diffFileSymbols(beforeVersion, afterVersion)
+          .filter(change => (!exportedOnly || change.exported) && (includeModified || change.change !== 'modified'));
+        if (changes.length > 0) {
+          files.push({ file: path.relative(normalizedPath, filePath).replace(/\\/g, '/'), status, changes });
+        }
+      }
+
+      const allChanges = files.flatMap(file => file.changes);
+      const counts = Object.fromEntries(['added', 'removed', 'renamed', 'signature-changed', 'modified'].map(change => [change, allChanges.filter(c => c.change === change).length]));
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ root: normalizedPath, from, to, fromCommit: commits.from, toCommit: commits.to, counts, files }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      if (files.length === 0) {
+        return {
+          content: [{ type: "text", text: `No ${exportedOnly ? 'exported ' : ''}symbol changes in ${normalizedPath} from ${from} to ${to} (${changedFiles.size} changed files).` }]
+        };
+      }
+
+      const exportedCount = allChanges.filter(change => change.exported).length;
+      const countText = Object.entries(counts).filter(([, count]) => count > 0).map(([change, count]) => `${count} ${change}`).join(', ');
+      let text = `Symbol changes in ${normalizedPath} from ${from} to ${to}: ${allChanges.length} change${allChanges.length === 1 ? '' : 's'} in ${files.length} file${files.length === 1 ? '' : 's'} (${countText}; ${exportedCount} exported)\n`;
+      for (const file of files) {
+        text += `\n${file.file} (${file.status})\n`;
+        text += file.changes.map(change => {
+          const label = `${change.kind} ${change.previousName ? `${change.previousName} → ${change.name}` : change.name}${change.parent ? ` (in ${change.parent})` : ''}`;
+          const detail = change.change === 'signature-changed' || change.change === 'renamed' ? `: ${change.before} → ${change.after}`
+            : change.change === 'added' || change.change === 'removed' ? `: ${change.after || change.before}`
+            : '';
+          return `- ${change.change.replace('-', ' ')} ${label}${detail}${change.exported ? ' [exported]' : ''} — line ${change.line}`;
+        }).join('\n') + '\n';
+      }
+
+      return {
+        content: [{ type: "text", text: text.trimEnd() }]
+      };
+    } catch (error) {
+      console.error(`Error in get_symbol_diff tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the get_symbol_source tool
+server.tool(
+  "get_symbol_source",
+  "Returns the exact source code of a single symbol (function, method, class, variable, interface, type or enum) in a file, with line numbers. Use 'ClassName.methodName' to select a method. Use this tool instead of reading a whole file when you only need one definition.",
+  {
+    absolutePath: z.string().describe("Absolute path to the file containing the symbol. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src/index.js)"),
+    symbolName: z.string().describe("Name of the symbol. Qualify methods with their class name (e.g. 'UserService.getUser')."),
+    contextLines: z.number().optional().default(0).describe("Number of extra lines to include before and after the symbol (default: 0)."),
+    includeDocComment: z.boolean().optional().default(false).describe("Whether to include the doc comment (e.g. JSDoc or # comments) directly above the symbol."),
+    includeDecorators: z.boolean().optional().default(false).describe("Whether to include decorators applied to the symbol.")
+  },
+  async ({ absolutePath, symbolName, contextLines = 0, includeDocComment, includeDecorators }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isFile()) {
+        return {
+          content: [{ type: "text", text: `Error: File does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      if (!getLanguageFromExtension(normalizedPath)) {
+        return {
+          content: [{ type: "text", text: `Error: Unsupported file type: ${normalizedPath}. Symbol analysis is supported for JavaScript/TypeScript (.js, .jsx, .mjs, .cjs, .ts, .tsx, .mts, .cts), Python (.py), Go (.go), Rust (.rs), Java (.java), C/C++ (.c, .h, .cpp, .cc, .hpp), C# (.cs), Ruby (.rb) and PHP (.php) files only.` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      const fileContent = fs.readFileSync(normalizedPath, 'utf8');
+      const symbols = await extractCodeSymbols(normalizedPath, fileContent);
+      if (!symbols) {
+        return {
+          content: [{ type: "text", text: `Error: Failed to parse ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      // Split 'Class.method' into its parent and member names
+      const separatorIndex = symbolName.lastIndexOf('.');
+      const parentName = separatorIndex > 0 ? symbolName.slice(0, separatorIndex) : null;
+      const memberName = separatorIndex > 0 ? symbolName.slice(separatorIndex + 1) : symbolName;
+
+      const definitions = listSymbolDefinitions(symbols);
+      const matches = definitions.filter(d =>
+        d.name === memberName && (parentName ? d.parent === parentName : true)
+      );
+
+      if (matches.length === 0) {
+        const available = definitions
+          .filter(d => d.kind !== 'variable')
+          .map(d => d.parent ? `${d.parent}.${d.name}` : d.name);
+        return {
+          content: [{ type: "text", text: `Error: Symbol '${symbolName}' not found in ${normalizedPath}.${available.length > 0 ? `\n\nAvailable symbols: ${available.slice(0, 50).join(', ')}` : ''}` }],
+          isError: true
+        };
+      }
+
+      const lines = fileContent.split(/\r?\n/);
+      const rootNode = parseSource(normalizedPath, fileContent).tree.rootNode;
+
+      const sections = matches.map(match => {
+        let startLine = match.position.startLine;
+        const leading = getSymbolLeadingLines(rootNode, match.position);
+        if (includeDecorators && leading.decoratorLine !== null) {
+          startLine = Math.min(startLine, leading.decoratorLine);
+        }
+        if (includeDocComment && leading.docCommentLine !== null) {
+          startLine = Math.min(startLine, leading.docCommentLine);
+        }
+
+        const firstLine = Math.max(1, startLine - contextLines);
+        const lastLine = Math.min(lines.length, match.position.endLine + contextLines);
+        const width = String(lastLine).length;
+        const numbered = lines.slice(firstLine - 1, lastLine).map((line, index) =>
+          `${String(firstLine + index).padStart(width)} | ${line}`
+        ).join('\n');
+
+        const qualifiedName = match.parent ? `${match.parent}.${match.name}` : match.name;
+        return `${match.kind} ${qualifiedName} (lines ${match.position.startLine}-${match.position.endLine})\n\n${numbered}`;
+      });
+
+      return {
+        content: [{ type: "text", text: `Source for '${symbolName}' in ${normalizedPath}:\n\n${sections.join('\n\n')}` }]
+      };
+    } catch (error) {
+      console.error(`Error in get_symbol_source tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the get_file_outline tool
+server.tool(
+  "get_file_outline",
+  "Returns the nested outline of a single file: classes, their methods and nested functions, with line ranges, signatures, visibility/static flags, export status and leading doc comments. Cheap enough to call before every edit. Use this tool to see the structure of one file without analyzing its whole directory.",
+  {
+    absolutePath: z.string().describe("Absolute path to the file to outline. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src/index.js)"),
+    includeDocComments: z.boolean().optional().default(true).describe("Whether to include the doc comment (e.g. JSDoc or # comments) directly above each definition (default: true)."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the response. 'text' returns an indented list, 'json' the nested outline items.")
+  },
+  async ({ absolutePath, includeDocComments = true, outputFormat = 'text' }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isFile()) {
+        return {
+          content: [{ type: "text", text: `Error: File does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      if (!getLanguageFromExtension(normalizedPath)) {
+        return {
+          content: [{ type: "text", text: `Error: Unsupported file type: ${normalizedPath}. Symbol analysis is supported for JavaScript/TypeScript (.js, .jsx, .mjs, .cjs, .ts, .tsx, .mts, .cts), Python (.py), Go (.go), Rust (.rs), Java (.java), C/C++ (.c, .h, .cpp, .cc, .hpp), C# (.cs), Ruby (.rb) and PHP (.php) files only.` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      const fileContent = fs.readFileSync(normalizedPath, 'utf8');
+      const symbols = await extractCodeSymbols(normalizedPath, fileContent);
+      if (!symbols) {
+        return {
+          content: [{ type: "text", text: `Error: Failed to parse ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      const { language, lineCount, outline } = buildFileOutline(normalizedPath, fileContent, symbols);
+      if (!includeDocComments) {
+        const dropDocComments = (items) => items.forEach(item => {
+          item.docComment = null;
+          dropDocComments(item.children);
+        });
+        dropDocComments(outline);
+      }
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ file: normalizedPath, language, lineCount, outline }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      const text = outline.length > 0 ? formatOutlineAsText(outline) : 'No definitions found.';
+      return {
+        content: [{ type: "text", text: `Outline of ${normalizedPath} (${language}, ${lineCount} lines):\n\n${text}` }]
+      };
+    } catch (error) {
+      console.error(`Error in get_file_outline tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the invalidate_symbol_index tool
+server.tool(
+  "invalidate_symbol_index",
+  "Clears the persistent symbol index of a project so the next analysis re-parses its files. Use this tool if symbol results look stale or after changing parsers.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory whose index should be cleared. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    filePaths: z.array(z.string()).optional().describe("Only invalidate these files (absolute or relative to absolutePath). Clears the whole index when omitted.")
+  },
+  async ({ absolutePath, filePaths }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      const removed = invalidateSymbolIndex(normalizedPath, filePaths);
+      const scope = filePaths && filePaths.length > 0 ? `${removed} of ${filePaths.length} requested files` : `${removed} files`;
+
+      return {
+        content: [{ type: "text", text: `Invalidated symbol index for ${normalizedPath} (${scope} removed).` }]
+      };
+    } catch (error) {
+      console.error(`Error in invalidate_symbol_index tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the watch_project tool
+server.tool(
+  "watch_project",
+  "Starts watching a project directory: its symbol index is brought up to date, then files changed on disk are re-parsed as they change, so later calls of every tool see current symbols without full rescans. Clients subscribed (resources/subscribe) to the codecontext:// resources of the project (its tree, symbols and file outlines) are sent notifications/resources/updated. Use this tool at the start of a long session on a project that keeps changing.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory to watch. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to watch (default: 5 levels)."),
+    poll: z.boolean().optional().default(false).describe("Whether to poll for changes instead of watching each directory with fs.watch (default: false). Polling is used anyway when watching fails, e.g. when the system runs out of watches."),
+    pollInterval: z.number().optional().default(WATCH_POLL_INTERVAL_MS).describe(`Interval in milliseconds between polls (default: ${WATCH_POLL_INTERVAL_MS}).`),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, maxDepth = 5, poll = false, pollInterval = WATCH_POLL_INTERVAL_MS, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Watching ${normalizedPath} (poll: ${poll}, maxDepth: ${maxDepth})`);
+      const project = await watchProject(normalizedPath, { maxDepth, poll, pollInterval, ignorePatterns, includeHidden, respectGitignore });
+      const mode = project.mode === 'native' ? `fs.watch on ${project.watchers.size} director${project.watchers.size === 1 ? 'y' : 'ies'}` : `polling every ${pollInterval} ms`;
+
+      return {
+        content: [{ type: "text", text: `Watching ${project.root} with ${mode} (${project.files} source files indexed). Subscribe to ${getProjectResourceUri(project.root, 'tree')}, ${getProjectResourceUri(project.root, 'symbols')} or the file outline resources of the project to be notified of updates.` }]
+      };
+    } catch (error) {
+      console.error(`Error in watch_project tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the unwatch_project tool
+server.tool(
+  "unwatch_project",
+  "Stops watching project directories started with watch_project, or lists the watched ones. Their symbol indexes are kept and refreshed by the next analysis.",
+  {
+    absolutePath: z.string().optional().describe("Absolute path to the watched project directory to stop watching. Omit it to list the watched projects without stopping any."),
+    all: z.boolean().optional().default(false).describe("Whether to stop watching every project (default: false).")
+  },
+  async ({ absolutePath, all = false }) => {
+    try {
+      if (all) {
+        const roots = [...watchedProjects.keys()];
+        roots.forEach(root => unwatchProject(root));
+        return {
+          content: [{ type: "text", text: roots.length > 0 ? `Stopped watching ${roots.length} project${roots.length === 1 ? '' : 's'}: ${roots.join(', ')}` : 'No projects are being watched.' }]
+        };
+      }
+
+      if (absolutePath) {
+        const normalizedPath = path.normalize(absolutePath);
+        const stopped = unwatchProject(normalizedPath);
+        return {
+          content: [{ type: "text", text: stopped ? `Stopped watching ${path.resolve(normalizedPath)}.` : `Error: ${normalizedPath} is not being watched.` }],
+          isError: !stopped
+        };
+      }
+
+      if (watchedProjects.size === 0) {
+        return {
+          content: [{ type: "text", text: 'No projects are being watched.' }]
+        };
+      }
+      const lines = [...watchedProjects.values()].map(project => {
+        const mode = project.mode === 'native' ? 'fs.watch' : 'polling';
+        return `- ${project.root} (${mode}, since ${project.startedAt}): ${project.updates} file update${project.updates === 1 ? '' : 's'}${project.lastUpdate ? `, last at ${project.lastUpdate}` : ''}`;
+      });
+      return {
+        content: [{ type: "text", text: `Watched projects:\n\n${lines.join('\n')}` }]
+      };
+    } catch (error) {
+      console.error(`Error in unwatch_project tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the get_dependency_graph tool
+server.tool(
+  "get_dependency_graph",
+  "Returns the file-to-file import graph of a project, resolving relative imports, index files, package.json exports and Python packages to real files. Can focus on the transitive dependencies or dependents of one file. Use this tool to scope a refactor or understand how modules depend on each other.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    format: z.enum(['json', 'dot', 'mermaid']).optional().default('json').describe("Output format: 'json' (nodes and edges), 'dot' (Graphviz) or 'mermaid' (flowchart)."),
+    focusFile: z.string().optional().describe("Only return the part of the graph reachable from this file (absolute or relative to absolutePath)."),
+    direction: z.enum(['dependencies', 'dependents', 'both']).optional().default('dependencies').describe("When focusFile is set, follow the files it imports ('dependencies'), the files importing it ('dependents') or both."),
+    depth: z.number().optional().describe("When focusFile is set, maximum number of import hops to follow (default: unlimited)."),
+    includeExternal: z.boolean().optional().default(false).describe("Whether to include third-party modules (imports that don't resolve to project files)."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to analyze (default: 5 levels)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, format, focusFile, direction, depth, includeExternal, maxDepth = 5, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Building dependency graph for ${normalizedPath}`);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const graph = await buildDependencyGraph(normalizedPath, maxDepth, symbolIndex, ignoreRules);
+      saveSymbolIndex(symbolIndex);
+
+      const toRelative = (filePath) => path.relative(normalizedPath, filePath).replace(/\\/g, '/');
+
+      // Narrow the graph to the files reachable from the focus file
+      let files = null;
+      let focusPath = null;
+      if (focusFile) {
+        focusPath = path.resolve(normalizedPath, focusFile);
+        if (!graph.dependencies.has(focusPath)) {
+          return {
+            content: [{ type: "text", text: `Error: ${focusFile} is not an analyzed source file of ${normalizedPath}` }],
+            isError: true
+          };
+        }
+        files = getTransitiveFiles(graph, focusPath, direction, depth ?? Infinity);
+      }
+
+      const nodes = [...(files || graph.dependencies.keys())].map(toRelative).sort();
+      const edges = getGraphEdges(graph, files);
+
+      // Third-party modules, keyed by the (relative) importing file
+      const externalByFile = {};
+      if (includeExternal) {
+        for (const [filePath, specifiers] of graph.external) {
+          if (files && !files.has(filePath)) continue;
+          externalByFile[toRelative(filePath)] = [...specifiers].sort();
+        }
+      }
+
+      const unresolvedByFile = {};
+      for (const [filePath, specifiers] of graph.unresolved) {
+        if (files && !files.has(filePath)) continue;
+        unresolvedByFile[toRelative(filePath)] = [...specifiers].sort();
+      }
+
+      if (format === 'json') {
+        const result = {
+          root: normalizedPath,
+          focus: focusPath ? { file: toRelative(focusPath), direction, depth: depth ?? null } : null,
+          files: nodes,
+          edges,
+          ...(includeExternal ? { external: externalByFile } : {}),
+          unresolved: unresolvedByFile
+        };
+
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify(result, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      // External modules become extra nodes in the diagram formats
+      const diagramNodes = [...nodes];
+      const diagramEdges = [...edges];
+      for (const [from, specifiers] of Object.entries(externalByFile)) {
+        for (const specifier of specifiers) {
+          if (!diagramNodes.includes(specifier)) diagramNodes.push(specifier);
+          diagramEdges.push({ from, to: specifier });
+        }
+      }
+
+      const text = format === 'dot'
+        ? formatGraphAsDot(diagramNodes, diagramEdges)
+        : formatGraphAsMermaid(diagramNodes, diagramEdges);
+
+      return {
+        content: [{ type: "text", text }]
+      };
+    } catch (error) {
+      console.error(`Error in get_dependency_graph tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the find_dependency_issues tool
+server.tool(
+  "find_dependency_issues",
+  "Reports architecture problems in a project's imports: import cycles (the shortest cycle through each import that is part of one, with the full cycle path) and orphan modules that no file imports and that are not entry points. Entry points come from package.json main/module/bin/exports, __main__.py files, or the entryPoints parameter. Use this tool to flag structural issues before proposing changes.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    entryPoints: z.array(z.string()).optional().describe("Additional entry point files (absolute or relative to absolutePath), e.g. scripts or test files that are run directly."),
+    maxCycles: z.number().optional().default(100).describe("Maximum number of cycles to report; the report says when more exist (default: 100)."),
+    outputFormat: z.enum(['text', 'json']).optional().default('text').describe("Format of the report."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to analyze (default: 5 levels)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, entryPoints = [], maxCycles = 100, outputFormat, maxDepth = 5, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Finding dependency issues in ${normalizedPath}`);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const graph = await buildDependencyGraph(normalizedPath, maxDepth, symbolIndex, ignoreRules);
+      saveSymbolIndex(symbolIndex);
+
+      const toRelative = (filePath) => path.relative(normalizedPath, filePath).replace(/\\/g, '/');
+      const { cycles: cyclePaths, truncated: cyclesTruncated } = findImportCycles(graph, maxCycles);
+      const cycles = cyclePaths.map(cycle => cycle.map(toRelative));
+      const entryPointMap = findEntryPoints(graph, entryPoints);
+      const orphans = findOrphanModules(graph, entryPointMap).map(toRelative);
+      const entries = [...entryPointMap].map(([filePath, reason]) => ({ file: toRelative(filePath), reason }));
+      const uncheckedFiles = [...graph.dependencies.keys()].filter(filePath => !RESOLVED_IMPORT_LANGUAGES.has(getLanguageName(filePath)));
+      const uncheckedLanguages = [...new Set(uncheckedFiles.map(filePath => getLanguageName(filePath) || path.extname(filePath)))].sort();
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: "resource",
+              resource: {
+                uri: url.pathToFileURL(normalizedPath).href,
+                mimeType: "application/json",
+                text: JSON.stringify({ root: normalizedPath, filesAnalyzed: graph.dependencies.size, cycles, cyclesTruncated, orphans, uncheckedLanguages, entryPoints: entries }, null, 2)
+              }
+            }
+          ]
+        };
+      }
+
+      let text = `Dependency report for: ${normalizedPath}\n- Files analyzed: ${graph.dependencies.size}`;
+
+      text += `\n\nImport cycles (${cycles.length}${cyclesTruncated ? `, truncated at maxCycles = ${maxCycles}; more cycles exist` : ''}):\n`;
+      text += cycles.length > 0
+        ? cycles.map((cycle, i) => `${i + 1}. ${cycle.join(' → ')}`).join('\n')
+        : 'None';
+
+      text += `\n\nOrphan modules (${orphans.length}), not imported by any file and not an entry point:\n`;
+      text += orphans.length > 0 ? orphans.map(file => `- ${file}`).join('\n') : 'None';
+      if (uncheckedFiles.length > 0) {
+        text += `\n(${uncheckedFiles.length} file${uncheckedFiles.length === 1 ? '' : 's'} not checked: imports of ${uncheckedLanguages.join(', ')} are not resolved)`;
+      }
+
+      text += `\n\nEntry points (${entries.length}):\n`;
+      text += entries.length > 0
+        ? entries.map(entry => `- ${entry.file} (${entry.reason})`).join('\n')
+        : 'None found. Pass entryPoints to mark files that are run directly.';
+
+      return {
+        content: [{ type: "text", text }]
+      };
+    } catch (error) {
+      console.error(`Error in find_dependency_issues tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the find_references tool
+server.tool(
+  "find_references",
+  "Finds the references to a symbol across a project: calls, identifier uses, and imports/re-exports. Each hit includes the file, line, column and enclosing function. Identify the symbol by name, or by the file and line of its definition to only search files that (transitively) import it. Use this tool to judge the blast radius of a change before editing a signature.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    symbolName: z.string().optional().describe("Name of the symbol. Methods may be qualified with their class (e.g. 'UserService.getUser'); only the method name is matched."),
+    definitionFile: z.string().optional().describe("File containing the symbol's definition (absolute or relative to absolutePath). Use with definitionLine instead of symbolName."),
+    definitionLine: z.number().optional().describe("Line number of the symbol's definition in definitionFile."),
+    includeDefinitions: z.boolean().optional().default(false).describe("Whether to include definitions of the name in the results."),
+    maxResults: z.number().optional().default(200).describe("Maximum number of references to return (default: 200)."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to search (default: 5 levels)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, symbolName, definitionFile, definitionLine, includeDefinitions, maxResults = 200, maxDepth = 5, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      if (!symbolName && !(definitionFile && definitionLine)) {
+        return {
+          content: [{ type: "text", text: "Error: Provide either symbolName, or definitionFile and definitionLine." }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const toRelative = (filePath) => path.relative(normalizedPath, filePath).replace(/\\/g, '/');
+
+      // Resolve the name (and the files worth searching) from the definition location
+      let name = symbolName ? symbolName.slice(symbolName.lastIndexOf('.') + 1) : null;
+      let definition = null;
+      let candidateFiles = null;
+      if (definitionFile && definitionLine) {
+        const definitionPath = path.resolve(normalizedPath, definitionFile);
+        const symbols = fs.existsSync(definitionPath) ? await getFileSymbols(definitionPath, symbolIndex) : null;
+        if (!symbols) {
+          return {
+            content: [{ type: "text", text: `Error: Could not analyze ${definitionFile}` }],
+            isError: true
+          };
+        }
+
+        // The innermost definition spanning the line wins
+        definition = listSymbolDefinitions(symbols)
+          .filter(d => d.position.startLine <= definitionLine && d.position.endLine >= definitionLine)
+          .filter(d => !name || d.name === name)
+          .sort((a, b) => b.position.startLine - a.position.startLine)[0];
+        if (!definition) {
+          return {
+            content: [{ type: "text", text: `Error: No symbol definition found at ${definitionFile}:${definitionLine}` }],
+            isError: true
+          };
+        }
+        name = definition.name;
+        definition.file = definitionPath;
+
+        // Top-level symbols can only be referenced from files that (transitively) import their module;
+        // methods are reached through instances, so every file stays a candidate. Other languages share
+        // packages and namespaces without importing files, so only JavaScript/TypeScript and Python are narrowed
+        if (!definition.parent && ['javascript', 'typescript', 'python'].includes(getLanguageName(definitionPath))) {
+          const graph = await buildDependencyGraph(normalizedPath, maxDepth, symbolIndex, ignoreRules);
+          if (graph.dependencies.has(definitionPath)) {
+            candidateFiles = getTransitiveFiles(graph, definitionPath, 'dependents');
+          }
+        }
+      }
+
+      console.error(`Finding references to '${name}' in ${normalizedPath}`);
+
+      const files = collectSourceFiles(normalizedPath, normalizedPath, ignoreRules, null, 0, maxDepth)
+        .filter(filePath => !candidateFiles || candidateFiles.has(filePath));
+
+      let references = [];
+      let searchedFiles = 0;
+      const unsearchedFiles = [];
+      for (const filePath of files) {
+        const fileContent = fs.readFileSync(filePath, 'utf8');
+        // Cheap text check before parsing
+        if (!fileContent.includes(name)) continue;
+
+        const symbols = await getFileSymbols(filePath, symbolIndex);
+        const fileReferences = findReferencesInFile(filePath, fileContent, name, symbols);
+        if (!fileReferences) {
+          unsearchedFiles.push(filePath);
+          continue;
+        }
+        searchedFiles++;
+        references = references.concat(fileReferences);
+      }
+      saveSymbolIndex(symbolIndex);
+
+      // Languages whose query has no '@reference.identifier' captures can't be searched
+      const unsearchedLanguages = [...new Set(unsearchedFiles.map(filePath => getLanguageName(filePath) || path.extname(filePath)))].sort();
+      if (searchedFiles === 0 && unsearchedFiles.length > 0) {
+        return {
+          content: [{ type: "text", text: `Error: Can't find references in ${unsearchedLanguages.join(', ')} files: their queries have no '@reference.identifier' captures.` }],
+          isError: true
+        };
+      }
+      const unsearchedNote = unsearchedFiles.length > 0
+        ? `\n\n(${unsearchedFiles.length} file${unsearchedFiles.length === 1 ? '' : 's'} not searched: the ${unsearchedLanguages.join(', ')} quer${unsearchedLanguages.length === 1 ? 'y has' : 'ies have'} no '@reference.identifier' captures)`
+        : '';
+
+      if (!includeDefinitions) {
+        references = references.filter(ref => ref.kind !== 'definition');
+      }
+
+      const definitionInfo = definition
+        ? ` (defined in ${toRelative(definition.file)}:${definition.position.startLine}${candidateFiles ? `, searched ${files.length} files that import it` : ''})`
+        : '';
+
+      if (references.length === 0) {
+        return {
+          content: [{ type: "text", text: `No references to '${name}' found in ${normalizedPath}${definitionInfo}.${unsearchedNote}` }]
+        };
+      }
+
+      const shown = references.slice(0, maxResults);
+      const fileCount = new Set(references.map(ref => ref.file)).size;
+      let text = `Found ${references.length} reference${references.length === 1 ? '' : 's'} to '${name}' in ${fileCount} file${fileCount === 1 ? '' : 's'}${definitionInfo}:\n`;
+
+      // Group hits by file
+      let currentFile = null;
+      for (const ref of shown) {
+        if (ref.file !== currentFile) {
+          currentFile = ref.file;
+          text += `\n${toRelative(ref.file)}\n`;
+        }
+        text += `  - ${ref.line}:${ref.column} ${ref.kind}${ref.enclosingFunction ? ` in ${ref.enclosingFunction}` : ' (module level)'}: ${ref.text}\n`;
+      }
+
+      if (references.length > shown.length) {
+        text += `\n... ${references.length - shown.length} more references not shown. Increase maxResults to see them.`;
+      }
+
+      return {
+        content: [{ type: "text", text: text.trimEnd() + unsearchedNote }]
+      };
+    } catch (error) {
+      console.error(`Error in find_references tool: ${error.message}`);
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true
+      };
+    }
+  }
+);
+
+// Add the get_call_graph tool
+server.tool(
+  "get_call_graph",
+  "Returns the callers and/or callees of a function across a project, following calls through local imports, to a configurable depth. Renders as an indented tree or a Mermaid flowchart. Use this tool to understand how a function is reached and what it depends on.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory. For windows, it is recommended to use forward slashes to avoid escaping (e.g. C:/Users/username/Documents/project/src)"),
+    functionName: z.string().describe("Name of the function. Qualify methods with their class (e.g. 'UserService.getUser')."),
+    file: z.string().optional().describe("File defining the function (absolute or relative to absolutePath), to disambiguate functions with the same name."),
+    direction: z.enum(['callees', 'callers', 'both']).optional().default('callees').describe("Whether to follow the functions it calls ('callees'), the functions calling it ('callers') or both."),
+    depth: z.number().optional().default(3).describe("Maximum number of call levels to follow (default: 3)."),
+    format: z.enum(['tree', 'mermaid']).optional().default('tree').describe("Output format: 'tree' (indented text) or 'mermaid' (flowchart)."),
+    includeUnresolved: z.boolean().optional().default(false).describe("Whether to list calls that could not be resolved to a project function (library and built-in calls) in the tree."),
+    maxDepth: z.number().optional().default(5).describe("Maximum directory depth to analyze (default: 5 levels)."),
+    ...IGNORE_OPTIONS_SCHEMA
+  },
+  async ({ absolutePath, functionName, file, direction, depth = 3, format, includeUnresolved, maxDepth = 5, ignorePatterns = [], includeHidden = false, respectGitignore = true }) => {
+    try {
+      const normalizedPath = path.normalize(absolutePath);
+      if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+        return {
+          content: [{ type: "text", text: `Error: Directory does not exist: ${normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      await initializeTreeSitter();
+      if (!initialized) {
+        return {
+          content: [{ type: "text", text: "Error: Failed to initialize code analysis parser. WASM parsers may be missing." }],
+          isError: true
+        };
+      }
+
+      console.error(`Building call graph for '${functionName}' in ${normalizedPath}`);
+
+      const symbolIndex = getSymbolIndex(normalizedPath);
+      const ignoreRules = createIgnoreRules(normalizedPath, { ignorePatterns, includeHidden, respectGitignore });
+      const callGraph = await buildCallGraph(normalizedPath, maxDepth, symbolIndex, ignoreRules);
+      saveSymbolIndex(symbolIndex);
+
+      // Split 'Class.method' into its parent and member names
+      const separatorIndex = functionName.lastIndexOf('.');
+      const parentName = separatorIndex > 0 ? functionName.slice(0, separatorIndex) : null;
+      const memberName = separatorIndex > 0 ? functionName.slice(separatorIndex + 1) : functionName;
+      const filePath = file ? path.resolve(normalizedPath, file) : null;
+
+      const roots = [...callGraph.nodes.values()].filter(node =>
+        node.name === memberName &&
+        (!parentName || node.parent === parentName) &&
+        (!filePath || node.file === filePath)
+      );
+
+      if (roots.length === 0) {
+        return {
+          content: [{ type: "text", text: `Error: Function '${functionName}' not found in ${file || normalizedPath}` }],
+          isError: true
+        };
+      }
+
+      if (format === 'mermaid') {
+        const nodeIds = new Set();
+        const edges = new Map();
+        for (const root of roots) {
+          const reachable = collectCallEdges(callGraph, root.id, direction, depth);
+          reachable.nodes.forEach(id => nodeIds.add(id));
+          reachable.edges.forEach(edge => edges.set(`${edge.from}->${edge.to}`, edge));
+        }
+
+        const ids = new Map([...nodeIds].map((id, i) => [id, `f${i}`]));
+        let text = 'graph LR\n';
+        text += [...nodeIds].map(id => {
+          const node = callGraph.nodes.get(id);
+          const relativePath = path.relative(normalizedPath, node.file).replace(/\\/g, '/');
+          return `  ${ids.get(id)}["${node.parent ? `${node.parent}.` : ''}${node.name}<br/>${relativePath}:${node.line}"]`;
+        }).join('\n');
+        const edgeLines = [...edges.values()].map(edge => `  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+        if (edgeLines.length > 0) {
+          text += `\n${edgeLines.join('\n')}`;
+        }
+
+        return {
+          content: [{ type: "text", text }]
+        };
+      }
+
+      const sections = [];
+      for (const root of roots) {
+        if (direction !== 'callers') {
+          sections.push(`Callees:\n${formatCallTree(callGraph, root.id, 'callees', depth, includeUnresolved)}`);
+        }
+        if (direction !== 'callees') {
+          sections.push(`Callers:\n${formatCallTree(callGraph, root.id, 'callers', depth)}`);
+        }
+      }
+
+      return {
+        content: [{ type: "text", text: `Call graph for '${functionName}' (depth: ${depth}):\n\n${sections.join('\n').trimEnd()}` }]
+      };
+    } catch (error) {
+      console.error(`Error in get_call_graph tool: ${error.message}`);
       return {
         content: [{ type: "text", text: `Error: ${error.message}` }],
         isError: true
@@ -1031,21 +5969,405 @@ server.tool(
   }
 );
 
-// Add a simple prompt template
+// Function to get the project roots offered as resources: the roots the client shares (when it supports roots), and
+// the projects watched or analyzed during this session
+async function getResourceProjectRoots() {
+  const roots = new Set([...watchedProjects.keys(), ...symbolIndexes.keys()]);
+  if (server.server.getClientCapabilities()?.roots) {
+    try {
+      const { roots: clientRoots } = await server.server.listRoots();
+      for (const root of clientRoots) {
+        if (root.uri.startsWith('file:')) roots.add(path.resolve(url.fileURLToPath(root.uri)));
+      }
+    } catch (error) {
+      console.error(`Error listing client roots: ${error.message}`);
+    }
+  }
+  return [...roots].filter(root => fs.existsSync(root) && fs.statSync(root).isDirectory()).sort();
+}
+
+// Function to get the project root of a resource URI, checking that it is an existing directory
+function getResourceRoot(variables) {
+  const root = path.resolve(decodeURIComponent(variables.root));
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Directory does not exist: ${root}`);
+  }
+  return root;
+}
+
+// Function to make sure the parsers are ready before a resource is read
+async function ensureResourceParsers() {
+  await initializeTreeSitter();
+  if (!initialized) {
+    throw new Error('Failed to initialize code analysis parser. WASM parsers may be missing.');
+  }
+}
+
+// Add the project tree resource
+server.resource(
+  "project-tree",
+  new ResourceTemplate("codecontext://{root}/tree", {
+    list: async () => ({
+      resources: (await getResourceProjectRoots()).map(root => ({
+        uri: getProjectResourceUri(root, 'tree'),
+        name: `${path.basename(root) || root} tree`
+      }))
+    })
+  }),
+  {
+    mimeType: "text/plain",
+    description: "Directory tree of a project with the symbol counts of each source file, like get_code_context. The root is the percent-encoded absolute path of the project."
+  },
+  async (uri, variables) => {
+    const root = getResourceRoot(variables);
+    await ensureResourceParsers();
+
+    const symbolIndex = getSymbolIndex(root);
+    const tree = await getDirectoryTree(root, root, createIgnoreRules(root), null, true, 0, 5, symbolIndex);
+    saveSymbolIndex(symbolIndex);
+    return {
+      contents: [{ uri: uri.href, mimeType: "text/plain", text: `Directory structure for: ${root}\n\n${formatTreeAsText(tree)}` }]
+    };
+  }
+);
+
+// Add the project symbols resource
+server.resource(
+  "project-symbols",
+  new ResourceTemplate("codecontext://{root}/symbols", {
+    list: async () => ({
+      resources: (await getResourceProjectRoots()).map(root => ({
+        uri: getProjectResourceUri(root, 'symbols'),
+        name: `${path.basename(root) || root} symbols`
+      }))
+    })
+  }),
+  {
+    mimeType: "application/json",
+    description: "Symbols of every source file of a project (functions, classes, imports, exports...), keyed by file path relative to the root, without their source code."
+  },
+  async (uri, variables) => {
+    const root = getResourceRoot(variables);
+    await ensureResourceParsers();
+
+    const symbolIndex = getSymbolIndex(root);
+    const files = {};
+    for (const filePath of collectSourceFiles(root, root, createIgnoreRules(root), null, 0, 5)) {
+      const symbols = await getFileSymbols(filePath, symbolIndex);
+      if (symbols) {
+        files[path.relative(root, filePath).replace(/\\/g, '/')] = toSymbolData(Object.fromEntries(SYMBOL_CATEGORIES.map(category => [category, symbols[category]])));
+      }
+    }
+    saveSymbolIndex(symbolIndex);
+    return {
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify({ root, files }, null, 2) }]
+    };
+  }
+);
+
+// Add the file outline resource
+server.resource(
+  "file-outline",
+  new ResourceTemplate("codecontext://{root}/file/{+path}/outline", {
+    // The files of a project are listed once its symbol index knows them
+    list: async () => ({
+      resources: (await getResourceProjectRoots()).flatMap(root => Object.keys(getSymbolIndex(root).files).sort().map(relativePath => ({
+        uri: getFileOutlineResourceUri(root, path.join(root, relativePath)),
+        name: `${relativePath} outline`
+      })))
+    })
+  }),
+  {
+    mimeType: "text/plain",
+    description: "Nested outline of one file of a project, like get_file_outline. The path is relative to the project root."
+  },
+  async (uri, variables) => {
+    const root = getResourceRoot(variables);
+    const filePath = path.resolve(root, ...variables.path.split('/').map(decodeURIComponent));
+    if (path.relative(root, filePath).startsWith('..') || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`File does not exist in ${root}: ${variables.path}`);
+    }
+    if (!getLanguageFromExtension(filePath)) {
+      throw new Error(`Unsupported file type: ${filePath}`);
+    }
+    await ensureResourceParsers();
+
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const symbols = await extractCodeSymbols(filePath, fileContent);
+    if (!symbols) {
+      throw new Error(`Failed to parse ${filePath}`);
+    }
+    const { language, lineCount, outline } = buildFileOutline(filePath, fileContent, symbols);
+    const text = outline.length > 0 ? formatOutlineAsText(outline) : 'No definitions found.';
+    return {
+      contents: [{ uri: uri.href, mimeType: "text/plain", text: `Outline of ${filePath} (${language}, ${lineCount} lines):\n\n${text}` }]
+    };
+  }
+);
+
+// Maximum characters of source code, trees, READMEs and diffs embedded in a prompt
+const PROMPT_SOURCE_LIMIT = 30000;
+const PROMPT_TREE_BUDGET = 20000;
+const PROMPT_README_LIMIT = 4000;
+const PROMPT_DIFF_LIMIT = 40000;
+const PROMPT_REFERENCE_LIMIT = 100;
+
+// Function to cut text embedded in a prompt down to a length, noting how many lines were left out
+function truncateForPrompt(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  const kept = text.slice(0, text.lastIndexOf('\n', limit) + 1 || limit);
+  return `${kept}... (${text.slice(kept.length).split('\n').length} more lines not shown)`;
+}
+
+// Function to number lines like get_symbol_source does
+function formatNumberedLines(lines, firstLine) {
+  const width = String(firstLine + lines.length - 1).length;
+  return lines.map((line, index) => `${String(firstLine + index).padStart(width)} | ${line}`).join('\n');
+}
+
+// Function to create a prompt message from text
+function createTextMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+// Function to create a prompt message embedding a resource, such as a file's source or a project tree
+function createResourceMessage(uri, mimeType, text) {
+  return { role: "user", content: { type: "resource", resource: { uri, mimeType, text } } };
+}
+
+// Function to get the project directory a prompt is about, checking that it exists
+function getPromptDirectory(absolutePath) {
+  const normalizedPath = path.normalize(absolutePath);
+  if (!fs.existsSync(normalizedPath) || !fs.statSync(normalizedPath).isDirectory()) {
+    throw new Error(`Directory does not exist: ${normalizedPath}`);
+  }
+  return normalizedPath;
+}
+
+// Add the explain-module prompt
+server.prompt(
+  "explain-module",
+  "Explain what a source file does: its purpose, public interface, control flow and dependencies. Embeds the file's outline and source.",
+  {
+    absolutePath: z.string().describe("Absolute path to the file to explain.")
+  },
+  async ({ absolutePath }) => {
+    const filePath = path.normalize(absolutePath);
+    if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      throw new Error(`File does not exist: ${filePath}`);
+    }
+    if (!getLanguageFromExtension(filePath)) {
+      throw new Error(`Unsupported file type: ${filePath}`);
+    }
+    await ensureResourceParsers();
+
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const symbols = await extractCodeSymbols(filePath, fileContent);
+    if (!symbols) {
+      throw new Error(`Failed to parse ${filePath}`);
+    }
+    const { language, lineCount, outline } = buildFileOutline(filePath, fileContent, symbols);
+    const importSources = [...new Set(symbols.imports.map(imp => imp.source))];
+
+    let text = `Explain the module ${filePath} (${language}, ${lineCount} lines). Describe its purpose, its public interface and how callers are meant to use it, the main control and data flow through its functions and classes, its dependencies and side effects, and anything surprising or fragile. Refer to definitions by name and line number.\n\n`;
+    text += `Outline:\n${outline.length > 0 ? formatOutlineAsText(outline) : 'No definitions found.'}`;
+    if (importSources.length > 0) {
+      text += `\n\nImports: ${importSources.join(', ')}`;
+    }
+
+    return {
+      description: `Explain ${path.basename(filePath)}`,
+      messages: [
+        createTextMessage(text),
+        createResourceMessage(url.pathToFileURL(filePath).href, "text/plain", truncateForPrompt(formatNumberedLines(fileContent.split(/\r?\n/), 1), PROMPT_SOURCE_LIMIT))
+      ]
+    };
+  }
+);
+
+// Add the onboard prompt
+server.prompt(
+  "onboard",
+  "Onboard a newcomer to a project: what it does, how it is organized, where execution starts and what to read first. Embeds the project tree with symbols, the README, the entry points and the most imported modules.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory."),
+    focus: z.string().optional().describe("Optional area or task the newcomer will work on (e.g. 'the billing API').")
+  },
+  async ({ absolutePath, focus }) => {
+    const root = getPromptDirectory(absolutePath);
+    await ensureResourceParsers();
+
+    const symbolIndex = getSymbolIndex(root);
+    const ignoreRules = createIgnoreRules(root);
+    const tree = await getDirectoryTree(root, root, ignoreRules, null, true, 0, 5, symbolIndex);
+    const graph = await buildDependencyGraph(root, 5, symbolIndex, ignoreRules);
+    saveSymbolIndex(symbolIndex);
+    const toRelative = (filePath) => path.relative(root, filePath).replace(/\\/g, '/');
+
+    // Summarize the tree like get_code_context does when it exceeds the budget, keeping the first page
+    const { output: treeText } = fitTreeToBudget(tree, (entries, { page, includeSymbols }) => {
+      const pageNote = page ? `\n\n(showing entries ${page.start + 1}-${page.end} of ${page.total})` : '';
+      return `Directory structure for: ${root}${pageNote}\n\n${formatTreeAsText(entries, '', includeSymbols)}`;
+    }, { budget: PROMPT_TREE_BUDGET, includeSymbols: true });
+
+    let text = `Onboard me to the project at ${root}. Explain what it is for, how it is organized, where execution starts, the main modules and how they depend on each other, and the conventions it follows. Then suggest which files to read first${focus ? ` to work on: ${focus}` : ''}.`;
+
+    const entryPoints = [...findEntryPoints(graph)].map(([filePath, reason]) => `- ${toRelative(filePath)} (${reason})`);
+    if (entryPoints.length > 0) {
+      text += `\n\nEntry points:\n${entryPoints.join('\n')}`;
+    }
+    const mostImported = [...graph.dependents]
+      .filter(([, dependents]) => dependents.size > 1)
+      .sort(([a, dependentsA], [b, dependentsB]) => dependentsB.size - dependentsA.size || a.localeCompare(b))
+      .slice(0, 10)
+      .map(([filePath, dependents]) => `- ${toRelative(filePath)} (imported by ${dependents.size} files)`);
+    if (mostImported.length > 0) {
+      text += `\n\nMost imported modules:\n${mostImported.join('\n')}`;
+    }
+
+    const messages = [createTextMessage(text), createResourceMessage(getProjectResourceUri(root, 'tree'), "text/plain", treeText)];
+    const readme = fs.readdirSync(root).find(name => /^readme(\.(md|markdown|rst|txt))?$/i.test(name));
+    if (readme && fs.statSync(path.join(root, readme)).isFile()) {
+      const readmePath = path.join(root, readme);
+      messages.push(createResourceMessage(url.pathToFileURL(readmePath).href, "text/plain", truncateForPrompt(fs.readFileSync(readmePath, 'utf8'), PROMPT_README_LIMIT)));
+    }
+
+    return {
+      description: `Onboard to ${path.basename(root) || root}`,
+      messages
+    };
+  }
+);
+
+// Add the plan-refactor prompt
+server.prompt(
+  "plan-refactor",
+  "Plan a refactor of a symbol (function, method, class, type...) step by step. Embeds the symbol's source and every reference to it across the project.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory."),
+    symbol: z.string().describe("Name of the symbol. Qualify methods with their class name (e.g. 'UserService.getUser')."),
+    goal: z.string().optional().describe("Optional goal of the refactor (e.g. 'split it into parsing and validation').")
+  },
+  async ({ absolutePath, symbol, goal }) => {
+    const root = getPromptDirectory(absolutePath);
+    await ensureResourceParsers();
+
+    // Split 'Class.method' into its parent and member names
+    const separatorIndex = symbol.lastIndexOf('.');
+    const parentName = separatorIndex > 0 ? symbol.slice(0, separatorIndex) : null;
+    const memberName = separatorIndex > 0 ? symbol.slice(separatorIndex + 1) : symbol;
+    const toRelative = (filePath) => path.relative(root, filePath).replace(/\\/g, '/');
+
+    const symbolIndex = getSymbolIndex(root);
+    const definitions = [];
+    let references = [];
+    for (const filePath of collectSourceFiles(root, root, createIgnoreRules(root), null, 0, 5)) {
+      const fileContent = fs.readFileSync(filePath, 'utf8');
+      // Cheap text check before parsing
+      if (!fileContent.includes(memberName)) continue;
+
+      const symbols = await getFileSymbols(filePath, symbolIndex);
+      if (!symbols) continue;
+      const lines = fileContent.split(/\r?\n/);
+      for (const definition of listSymbolDefinitions(symbols)) {
+        if (definition.name === memberName && (parentName ? definition.parent === parentName : true)) {
+          definitions.push({ ...definition, file: filePath, lines: lines.slice(definition.position.startLine - 1, definition.position.endLine) });
+        }
+      }
+      references = references.concat((findReferencesInFile(filePath, fileContent, memberName, symbols) || []).filter(ref => ref.kind !== 'definition'));
+    }
+    saveSymbolIndex(symbolIndex);
+
+    if (definitions.length === 0) {
+      throw new Error(`Symbol '${symbol}' not found in ${root}`);
+    }
+
+    let text = `Plan a refactor of '${symbol}' in ${root}${goal ? `. Goal: ${goal}` : ''}.\n\nUsing its definition and references below, propose the steps in an order that keeps the code working after each one: the new shape of the symbol, every call site and import that has to change, the tests to add or update, and the risks (dynamic uses, public API, behavior changes). Don't write the full code yet.`;
+    const fileCount = new Set(references.map(ref => ref.file)).size;
+    text += references.length === 0
+      ? `\n\nNo references to '${memberName}' found outside its definition.`
+      : `\n\n${references.length} reference${references.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}, matched by name (some may belong to other symbols called '${memberName}'):`;
+    text += references.slice(0, PROMPT_REFERENCE_LIMIT).map(ref =>
+      `\n- ${toRelative(ref.file)}:${ref.line}:${ref.column} ${ref.kind}${ref.enclosingFunction ? ` in ${ref.enclosingFunction}` : ' (module level)'}: ${ref.text}`
+    ).join('');
+    if (references.length > PROMPT_REFERENCE_LIMIT) {
+      text += `\n... ${references.length - PROMPT_REFERENCE_LIMIT} more references not shown.`;
+    }
+
+    // Each definition is embedded with its source, within a shared budget
+    let remaining = PROMPT_SOURCE_LIMIT;
+    const messages = [createTextMessage(text)];
+    for (const definition of definitions) {
+      const qualifiedName = definition.parent ? `${definition.parent}.${definition.name}` : definition.name;
+      const source = `${definition.kind} ${qualifiedName} in ${toRelative(definition.file)} (lines ${definition.position.startLine}-${definition.position.endLine})\n\n${formatNumberedLines(definition.lines, definition.position.startLine)}`;
+      const embedded = truncateForPrompt(source, Math.max(remaining, 1000));
+      remaining -= embedded.length;
+      messages.push(createResourceMessage(url.pathToFileURL(definition.file).href, "text/plain", embedded));
+      if (remaining <= 0) break;
+    }
+
+    return {
+      description: `Plan a refactor of ${symbol}`,
+      messages
+    };
+  }
+);
+
+// Add the review-changes prompt
 server.prompt(
-  "hello",
-  { name: z.string() },
-  ({ name }) => ({
-    messages: [{
-      role: "user",
-      content: {
-        type: "text",
-        text: `Hello ${name}, how can I assist you today?`
-      }
-    }]
-  })
+  "review-changes",
+  "Review the changes in a project since a git ref, including uncommitted work. Embeds the changed files, the symbols they touch and the diff.",
+  {
+    absolutePath: z.string().describe("Absolute path to the project directory (inside a git repository). Only changes under it are reviewed."),
+    since: z.string().optional().describe("Git ref to compare with (e.g. 'main', 'v1.2.0', 'HEAD~3'). Default: 'HEAD', i.e. the uncommitted changes only.")
+  },
+  async ({ absolutePath, since = 'HEAD' }) => {
+    const root = getPromptDirectory(absolutePath);
+    const repository = findGitRepository(root);
+    if (!repository) {
+      throw new Error(`Not a git repository: ${root}`);
+    }
+    const base = getGitMergeBase(root, since);
+    if (!base) {
+      throw new Error(`Unknown git ref: ${since}`);
+    }
+    await ensureResourceParsers();
+
+    const symbolIndex = getSymbolIndex(root);
+    const files = await collectChangedFiles(root, repository.workTree, base, true, symbolIndex);
+    saveSymbolIndex(symbolIndex);
+    if (files === null) {
+      throw new Error(`Failed to read the changes since ${since}`);
+    }
+    if (files.length === 0) {
+      throw new Error(`No changes in ${root} since ${since}`);
+    }
+
+    // Untracked files are not in git diff, so they are appended as additions
+    let diff = runGit(root, ['diff', '--no-color', '--no-ext-diff', base, '--', '.']) || '';
+    for (const file of files.filter(f => f.status === 'untracked')) {
+      const content = fs.readFileSync(path.join(root, file.file), 'utf8');
+      if (content.includes('\0')) continue;
+      diff += `--- /dev/null\n+++ ${file.file}\n${content.replace(/\n$/, '').split('\n').map(line => `+${line}`).join('\n')}\n`;
+    }
+
+    const text = `Review the changes in ${root} since ${since} (merge base ${base.slice(0, 7)}, including uncommitted changes). Look for bugs, unhandled edge cases and errors, inconsistencies with the surrounding code, and missing tests or documentation. Give the file and line of each finding and order the findings by severity.\n\nChanged files and the symbols they touch:\n${formatChangedFilesAsText(files)}`;
+
+    return {
+      description: `Review changes since ${since}`,
+      messages: [
+        createTextMessage(text),
+        createResourceMessage(url.pathToFileURL(root).href, "text/x-diff", truncateForPrompt(diff, PROMPT_DIFF_LIMIT))
+      ]
+    };
+  }
 );
 
+// Register the languages added by the user's query files
+registerUserLanguages();
+
 // Create a transport that communicates over stdin/stdout
 const transport = new StdioServerTransport();
 
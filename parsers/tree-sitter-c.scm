@@ -0,0 +1,29 @@
+; Symbol extraction queries for C (also inherited by C++).
+; Capture names are described in the "Extraction Queries" section of the README.
+
+(preproc_include path: (_) @import.source) @import
+
+; Types (declarations without a body, like 'struct foo;', are skipped)
+(struct_specifier name: (type_identifier) @name body: (_)) @definition.struct
+(enum_specifier name: (type_identifier) @name body: (_)) @definition.enum
+(enumerator name: (identifier) @name) @member.enum
+(type_definition declarator: (type_identifier) @name) @definition.type
+
+; Functions ('Type::method' names the owner of out-of-line C++ definitions)
+(function_definition declarator: (function_declarator declarator: (_) @name)) @definition.function
+(function_definition declarator: (_ (function_declarator declarator: (_) @name))) @definition.function
+
+; Calls
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (field_expression argument: (_) @receiver field: (_) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+[(identifier) (field_identifier) (type_identifier)] @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (while_statement) (do_statement) (seh_except_clause) (conditional_expression)] @metric.branch
+(if_statement) @metric.if
+(switch_statement) @metric.switch
+(case_statement) @metric.case
+(else_clause) @metric.else
+(binary_expression operator: ["&&" "||"] @metric.logical)
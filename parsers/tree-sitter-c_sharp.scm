@@ -0,0 +1,44 @@
+; Symbol extraction queries for C#.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+[(namespace_declaration name: (_) @name) (file_scoped_namespace_declaration name: (_) @name)] @definition.namespace
+
+; Imports: 'using A.B;' brings every type of the namespace in scope, 'using C = A.B;' aliases it
+(using_directive . (identifier) @import.source @import.wildcard) @import
+(using_directive . (qualified_name) @import.source @import.wildcard) @import
+(using_directive (name_equals (identifier) @import.alias) [(identifier) (qualified_name)] @import.source @import.module) @import
+
+; Types
+(class_declaration name: (identifier) @name) @definition.class
+(struct_declaration name: (identifier) @name) @definition.struct
+(record_declaration name: (identifier) @name) @definition.record
+(interface_declaration name: (identifier) @name) @definition.interface
+(interface_declaration body: (declaration_list (method_declaration name: (identifier) @name) @member.method))
+(enum_declaration name: (identifier) @name) @definition.enum
+(enum_member_declaration name: (identifier) @name) @member.enum
+
+; Methods and constructors
+(method_declaration (modifier) @_modifier name: (identifier) @name (#eq? @_modifier "static")) @definition.method @static
+(method_declaration name: (identifier) @name) @definition.method
+(method_declaration (modifier) @_modifier (#eq? @_modifier "async")) @flag.async
+(constructor_declaration name: (identifier) @name) @definition.method
+
+; Calls
+(invocation_expression function: (identifier) @name) @reference.call
+(invocation_expression function: (member_access_expression expression: (_) @receiver name: (identifier) @name)) @reference.call
+(object_creation_expression type: (identifier) @name) @reference.call
+
+; References: the identifiers find_references matches by name, and the names declared by fields, properties and locals
+(identifier) @reference.identifier
+(variable_declarator (identifier) @reference.definition)
+(property_declaration name: (identifier) @reference.definition)
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (for_each_statement) (while_statement) (do_statement) (catch_clause) (conditional_expression)] @metric.branch
+(if_statement) @metric.if
+[(switch_statement) (switch_expression)] @metric.switch
+[(case_switch_label) (case_pattern_switch_label) (switch_expression_arm)] @metric.case
+(binary_expression operator: ["&&" "||"] @metric.logical)
+(and_pattern operator: "and" @metric.logical)
+(or_pattern operator: "or" @metric.logical)
+[(lambda_expression) (anonymous_method_expression)] @metric.inline
@@ -0,0 +1,19 @@
+; Symbol extraction queries for C++, on top of the C ones.
+; inherits: tree-sitter-c
+
+(namespace_definition name: (_) @name) @definition.namespace
+(class_specifier name: (type_identifier) @name body: (_)) @definition.class
+
+; Imports: 'using namespace std;' brings the whole namespace in scope
+(using_declaration "namespace" [(identifier) (qualified_identifier)] @import.source @import.wildcard) @import
+((using_declaration [(identifier) (qualified_identifier)] @import.path) @import (#not-match? @import "^using\\s+namespace\\b"))
+
+; Calls
+(call_expression function: (qualified_identifier scope: (_) @receiver name: (_) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+(namespace_identifier) @reference.identifier
+
+; Metrics: the C++ control flow the C patterns don't cover
+[(for_range_loop) (catch_clause)] @metric.branch
+(lambda_expression) @metric.inline
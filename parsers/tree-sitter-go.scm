@@ -0,0 +1,38 @@
+; Symbol extraction queries for Go.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+(package_clause (package_identifier) @name) @definition.namespace
+
+; Imports: dot imports merge the package into the file scope
+(import_spec name: (dot) path: (_) @import.source @import.wildcard) @import
+(import_spec name: [(package_identifier) (blank_identifier)] @import.alias path: (_) @import.source @import.module) @import
+(import_spec !name path: (_) @import.source @import.module) @import
+
+; Types
+(type_spec name: (type_identifier) @name type: (struct_type)) @definition.struct
+(type_spec name: (type_identifier) @name type: (interface_type)) @definition.interface
+(type_spec name: (type_identifier) @name) @definition.type
+(type_alias name: (type_identifier) @name) @definition.type
+(interface_type (method_spec name: (_) @name) @member.method)
+(interface_type (method_elem name: (_) @name) @member.method)
+
+; Functions and methods, owned by the type of their receiver
+(function_declaration name: (identifier) @name) @definition.function
+(method_declaration receiver: (parameter_list (parameter_declaration type: [(type_identifier) @owner (pointer_type (type_identifier) @owner)])) name: (field_identifier) @name) @definition.method
+(method_declaration receiver: (parameter_list (parameter_declaration type: [(generic_type type: (type_identifier) @owner) (pointer_type (generic_type type: (type_identifier) @owner))])) name: (field_identifier) @name) @definition.method
+(method_declaration name: (field_identifier) @name) @definition.method
+
+; Calls
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (selector_expression operand: (_) @receiver field: (field_identifier) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+[(identifier) (field_identifier) (type_identifier) (package_identifier)] @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement)] @metric.branch
+(if_statement) @metric.if
+[(expression_switch_statement) (type_switch_statement) (select_statement)] @metric.switch
+[(expression_case) (type_case) (communication_case)] @metric.case
+(binary_expression operator: ["&&" "||"] @metric.logical)
+(func_literal) @metric.inline
@@ -0,0 +1,39 @@
+; Symbol extraction queries for Java.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+(package_declaration [(identifier) (scoped_identifier)] @name) @definition.namespace
+
+; Imports
+(import_declaration [(identifier) (scoped_identifier)] @import.source (asterisk) @import.wildcard) @import
+(import_declaration (identifier) @import.path .) @import
+(import_declaration (scoped_identifier) @import.path .) @import
+
+; Types
+(class_declaration name: (identifier) @name) @definition.class
+(record_declaration name: (identifier) @name) @definition.record
+(interface_declaration name: (identifier) @name) @definition.interface
+(interface_body (method_declaration name: (identifier) @name) @member.method)
+(enum_declaration name: (identifier) @name) @definition.enum
+(enum_constant name: (identifier) @name) @member.enum
+
+; Methods and constructors
+(method_declaration (modifiers "static") name: (identifier) @name) @definition.method @static
+(method_declaration name: (identifier) @name) @definition.method
+(constructor_declaration name: (identifier) @name) @definition.method
+
+; Calls
+(method_invocation !object name: (identifier) @name) @reference.call
+(method_invocation object: (_) @receiver name: (identifier) @name) @reference.call
+(object_creation_expression type: (type_identifier) @name) @reference.call
+
+; References: the identifiers find_references matches by name, and the names declared by fields and locals
+[(identifier) (type_identifier)] @reference.identifier
+(variable_declarator name: (identifier) @reference.definition)
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (enhanced_for_statement) (while_statement) (do_statement) (catch_clause) (ternary_expression)] @metric.branch
+(if_statement) @metric.if
+(switch_expression) @metric.switch
+(switch_label) @metric.case
+(binary_expression operator: ["&&" "||"] @metric.logical)
+(lambda_expression) @metric.inline
@@ -0,0 +1,116 @@
+; Symbol extraction queries for JavaScript (also inherited by TypeScript and TSX).
+; Capture names are described in the "Extraction Queries" section of the README.
+
+; Functions and methods. When several patterns match the same node, the first one wins
+(function_declaration name: (identifier) @name) @definition.function
+(generator_function_declaration name: (identifier) @name) @definition.function
+(method_definition "static" name: (_) @name) @definition.method @static
+(method_definition name: (_) @name) @definition.method
+(variable_declarator name: (identifier) @name value: [(arrow_function) (function_expression) (generator_function)] @definition.function)
+(pair key: (_) @name value: [(arrow_function) (function_expression) (generator_function)] @definition.function)
+(assignment_expression left: (member_expression property: (_) @name) right: [(arrow_function) (function_expression) (generator_function)] @definition.function)
+(assignment_expression left: (identifier) @name right: [(arrow_function) (function_expression) (generator_function)] @definition.function)
+(function_expression name: (identifier) @name) @definition.function
+(generator_function name: (identifier) @name) @definition.function
+[(arrow_function) (function_expression) (generator_function)] @definition.function
+
+; Function flags
+(function_declaration "async") @flag.async
+(generator_function_declaration "async") @flag.async
+(function_expression "async") @flag.async
+(generator_function "async") @flag.async
+(arrow_function "async") @flag.async
+(method_definition "async") @flag.async
+(generator_function_declaration "*") @flag.generator
+(generator_function "*") @flag.generator
+(method_definition "*") @flag.generator
+(method_definition "get") @flag.getter
+(method_definition "set") @flag.setter
+
+; Classes and variables
+(class_declaration name: (_) @name) @definition.class
+(lexical_declaration kind: _ @kind (variable_declarator name: (_) @name) @definition.variable)
+(variable_declaration (variable_declarator name: (_) @name) @definition.variable)
+
+; Imports
+(import_statement source: (string) @import.source) @import
+(import_statement (import_clause (identifier) @import.alias @import.default) source: (string) @import.source) @import
+(import_statement (import_clause (namespace_import (identifier) @import.alias @import.wildcard)) source: (string) @import.source) @import
+(import_statement (import_clause (named_imports (import_specifier name: (_) @import.name !alias))) source: (string) @import.source) @import
+(import_statement (import_clause (named_imports (import_specifier name: (_) @import.name alias: (_) @import.alias))) source: (string) @import.source) @import
+
+; CommonJS requires: require('x'), const x = require('x'), const { a, b: c } = require('x'), const a = require('x').a
+(call_expression function: (identifier) @_require arguments: (arguments . (string) @import.source .) (#eq? @_require "require")) @import @import.commonjs
+(variable_declarator name: (identifier) @import.alias @import.module value: (call_expression function: (identifier) @_require arguments: (arguments . (string) @import.source .)) @import @import.commonjs (#eq? @_require "require"))
+(variable_declarator name: (object_pattern (shorthand_property_identifier_pattern) @import.name) value: (call_expression function: (identifier) @_require arguments: (arguments . (string) @import.source .)) @import @import.commonjs (#eq? @_require "require"))
+(variable_declarator name: (object_pattern (pair_pattern key: (_) @import.name value: (identifier) @import.alias)) value: (call_expression function: (identifier) @_require arguments: (arguments . (string) @import.source .)) @import @import.commonjs (#eq? @_require "require"))
+(variable_declarator name: (identifier) @import.alias value: (member_expression object: (call_expression function: (identifier) @_require arguments: (arguments . (string) @import.source .)) @import @import.commonjs property: (property_identifier) @import.name) (#eq? @_require "require"))
+
+; Dynamic imports: import('x'), const ns = await import('x'), const { a } = await import('x')
+(call_expression function: (import) arguments: (arguments . (string) @import.source)) @import @import.dynamic
+(variable_declarator name: (identifier) @import.alias @import.wildcard value: (await_expression (call_expression function: (import) arguments: (arguments . (string) @import.source)) @import @import.dynamic))
+(variable_declarator name: (object_pattern (shorthand_property_identifier_pattern) @import.name) value: (await_expression (call_expression function: (import) arguments: (arguments . (string) @import.source)) @import @import.dynamic))
+(variable_declarator name: (object_pattern (pair_pattern key: (_) @import.name value: (identifier) @import.alias)) value: (await_expression (call_expression function: (import) arguments: (arguments . (string) @import.source)) @import @import.dynamic))
+
+; Exports
+(export_statement) @export
+(export_statement "default" @export.default) @export
+(export_statement source: (string) @export.source) @export
+(export_statement (export_clause (export_specifier name: (_) @export.name !alias))) @export
+(export_statement (export_clause (export_specifier name: (_) @export.name alias: (_) @export.alias))) @export
+(export_statement declaration: (_ name: (_) @export.name)) @export
+(export_statement declaration: (_ (variable_declarator name: (_) @export.name))) @export
+
+; CommonJS exports: module.exports = { a, b: c, d() {} }, module.exports = x, module.exports = require('x'),
+; exports.a = ... and module.exports.a = ...
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (object (shorthand_property_identifier) @export.name) (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (object (pair key: (_) @export.alias value: (identifier) @export.name)) (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (object (pair key: (_) @export.name value: [(arrow_function) (function_expression) (generator_function) (class) (call_expression) (new_expression) (member_expression) (object) (array) (string) (template_string) (number) (true) (false) (null)])) (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (object (method_definition name: (_) @export.name)) (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (identifier) @export.name @export.default (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: [(function_expression name: (_) @export.name) (class name: (_) @export.name)] @export.default (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: [(arrow_function) (function_expression) (class)] @export.default (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) right: (call_expression function: (identifier) @_require arguments: (arguments . (string) @export.source .)) (#eq? @_module "module") (#eq? @_exports "exports") (#eq? @_require "require")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (identifier) @_exports property: (property_identifier) @export.name) (#eq? @_exports "exports")) @export @export.commonjs
+(assignment_expression left: (member_expression object: (member_expression object: (identifier) @_module property: (property_identifier) @_exports) property: (property_identifier) @export.name) (#eq? @_module "module") (#eq? @_exports "exports")) @export @export.commonjs
+
+; Entities: React components (capitalized functions returning JSX, React.Component classes) and hooks
+(function_declaration name: (identifier) @name body: (statement_block (return_statement [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])])) (#match? @name "^[A-Z]")) @entity.component
+(variable_declarator name: (identifier) @name value: (arrow_function body: [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])]) @entity.component (#match? @name "^[A-Z]"))
+(variable_declarator name: (identifier) @name value: [(arrow_function body: (statement_block (return_statement [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])]))) (function_expression body: (statement_block (return_statement [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])])))] @entity.component (#match? @name "^[A-Z]"))
+(variable_declarator name: (identifier) @name value: (call_expression arguments: (arguments (arrow_function body: [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])]) @entity.component)) (#match? @name "^[A-Z]"))
+(variable_declarator name: (identifier) @name value: (call_expression arguments: (arguments [(arrow_function body: (statement_block (return_statement [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])]))) (function_expression body: (statement_block (return_statement [(jsx_element) (jsx_self_closing_element) (parenthesized_expression [(jsx_element) (jsx_self_closing_element)])])))] @entity.component)) (#match? @name "^[A-Z]"))
+(class_declaration name: (_) @name (class_heritage) @_heritage (#match? @_heritage "^extends\\s+(React\\.)?(Pure)?Component\\b")) @entity.component
+(function_declaration name: (identifier) @name (#match? @name "^use[A-Z]")) @entity.hook
+(variable_declarator name: (identifier) @name value: [(arrow_function) (function_expression)] @entity.hook (#match? @name "^use[A-Z]"))
+
+; Entities: Express, Fastify and Koa routes, app.get('/path', handler), router.route('/path').post(handler) and
+; fastify.route({ method, url, handler }). HTTP clients (axios.get(url, config)) are left out
+(call_expression function: (member_expression object: (_) @_receiver property: (property_identifier) @entity.method) arguments: (arguments . (string) @entity.path) (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$") (#match? @entity.path "^['\"`][/*]") (#not-match? @_receiver "^(axios|http|https|fetch|got|ky|superagent|request|client|api|this\\.http|\\$http)$")) @entity.route
+(call_expression function: (member_expression object: (_) @_receiver property: (property_identifier) @entity.method) arguments: (arguments . (string) @entity.path [(identifier) (member_expression)] @entity.handler .) (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$") (#match? @entity.path "^['\"`][/*]") (#not-match? @_receiver "^(axios|http|https|fetch|got|ky|superagent|request|client|api|this\\.http|\\$http)$")) @entity.route
+(call_expression function: (member_expression object: (call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments . (string) @entity.path)) property: (property_identifier) @entity.method) (#eq? @_route "route") (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$")) @entity.route
+(call_expression function: (member_expression object: (call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments . (string) @entity.path)) property: (property_identifier) @entity.method) arguments: (arguments [(identifier) (member_expression)] @entity.handler .) (#eq? @_route "route") (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$")) @entity.route
+(call_expression function: (member_expression object: (call_expression function: (member_expression object: (call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments . (string) @entity.path)))) property: (property_identifier) @entity.method) (#eq? @_route "route") (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$")) @entity.route
+(call_expression function: (member_expression object: (call_expression function: (member_expression object: (call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments . (string) @entity.path)))) property: (property_identifier) @entity.method) arguments: (arguments [(identifier) (member_expression)] @entity.handler .) (#eq? @_route "route") (#match? @entity.method "^(get|post|put|patch|delete|del|head|options|all)$")) @entity.route
+(call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments (object (pair key: (property_identifier) @_url value: (string) @entity.path))) (#eq? @_route "route") (#match? @_url "^(url|path)$")) @entity.route
+(call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments (object (pair key: (property_identifier) @_method value: (string) @entity.method))) (#eq? @_route "route") (#eq? @_method "method")) @entity.route
+(call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments (object (pair key: (property_identifier) @_method value: (array (string) @entity.method)))) (#eq? @_route "route") (#eq? @_method "method")) @entity.route
+(call_expression function: (member_expression property: (property_identifier) @_route) arguments: (arguments (object (pair key: (property_identifier) @_handler value: [(identifier) (member_expression)] @entity.handler))) (#eq? @_route "route") (#eq? @_handler "handler")) @entity.route
+
+; Calls
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (member_expression object: (_) @receiver property: (_) @name)) @reference.call
+(new_expression constructor: (identifier) @name) @reference.call
+(new_expression constructor: (member_expression object: (_) @receiver property: (_) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+[(identifier) (property_identifier) (shorthand_property_identifier) (shorthand_property_identifier_pattern)] @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (for_in_statement) (while_statement) (do_statement) (catch_clause) (ternary_expression)] @metric.branch
+(if_statement) @metric.if
+(switch_statement) @metric.switch
+(switch_case) @metric.case
+(else_clause) @metric.else
+(binary_expression operator: ["&&" "||"] @metric.logical)
+[(arrow_function) (function_expression)] @metric.inline
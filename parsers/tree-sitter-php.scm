@@ -0,0 +1,50 @@
+; Symbol extraction queries for PHP.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+(namespace_definition name: (_) @name) @definition.namespace
+
+; Imports: use A\B [as C], use A\{B, C as D}, and require/include (paths built from __DIR__ are relative)
+(namespace_use_declaration (namespace_use_clause (name) @import.path .)) @import
+(namespace_use_declaration (namespace_use_clause (qualified_name) @import.path .)) @import
+(namespace_use_declaration (namespace_use_clause [(name) (qualified_name)] @import.path (namespace_aliasing_clause (name) @import.alias))) @import
+(namespace_use_declaration (namespace_name) @import.prefix (namespace_use_group (namespace_use_group_clause (namespace_name) @import.path .))) @import
+(namespace_use_declaration (namespace_name) @import.prefix (namespace_use_group (namespace_use_group_clause (namespace_name) @import.path (namespace_aliasing_clause (name) @import.alias)))) @import
+(require_expression [(string) (encapsed_string)] @import.source) @import
+(require_once_expression [(string) (encapsed_string)] @import.source) @import
+(include_expression [(string) (encapsed_string)] @import.source) @import
+(include_once_expression [(string) (encapsed_string)] @import.source) @import
+(require_expression (binary_expression left: (name) @_dir right: [(string) (encapsed_string)] @import.file) (#eq? @_dir "__DIR__")) @import
+(require_once_expression (binary_expression left: (name) @_dir right: [(string) (encapsed_string)] @import.file) (#eq? @_dir "__DIR__")) @import
+(include_expression (binary_expression left: (name) @_dir right: [(string) (encapsed_string)] @import.file) (#eq? @_dir "__DIR__")) @import
+(include_once_expression (binary_expression left: (name) @_dir right: [(string) (encapsed_string)] @import.file) (#eq? @_dir "__DIR__")) @import
+
+; Types
+(class_declaration name: (name) @name) @definition.class
+(trait_declaration name: (name) @name) @definition.trait
+(interface_declaration name: (name) @name) @definition.interface
+(interface_declaration body: (declaration_list (method_declaration name: (name) @name) @member.method))
+(enum_declaration name: (name) @name) @definition.enum
+(enum_case name: (name) @name) @member.enum
+
+; Functions and methods
+(function_definition name: (name) @name) @definition.function
+(method_declaration (static_modifier) name: (name) @name) @definition.method @static
+(method_declaration name: (name) @name) @definition.method
+
+; Calls
+(function_call_expression function: [(name) (qualified_name)] @name) @reference.call
+(member_call_expression object: (_) @receiver name: (name) @name) @reference.call
+(scoped_call_expression scope: (_) @receiver name: (name) @name) @reference.call
+
+; References: the identifiers find_references matches by name
+(name) @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (foreach_statement) (while_statement) (do_statement) (catch_clause) (conditional_expression)] @metric.branch
+(if_statement) @metric.if
+[(switch_statement) (match_expression)] @metric.switch
+[(case_statement) (match_conditional_expression)] @metric.case
+(else_if_clause) @metric.else_if
+(else_clause) @metric.else
+(binary_expression operator: ["&&" "||" "and" "or"] @metric.logical)
+[(arrow_function) (anonymous_function_creation_expression)] @metric.inline
@@ -0,0 +1,55 @@
+; Symbol extraction queries for Python.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+; Functions, classes, module level variables and class level fields
+(decorated_definition (decorator (identifier) @_decorator) definition: (function_definition name: (identifier) @name) @definition.function @static (#eq? @_decorator "staticmethod"))
+(function_definition name: (identifier) @name) @definition.function
+(class_definition name: (identifier) @name) @definition.class
+(module (expression_statement (assignment left: (identifier) @name) @definition.variable))
+(class_definition body: (block (expression_statement (assignment left: (identifier) @name) @definition.field)))
+
+; Function flags and docstrings (a string as the first statement of the body). Properties are getters,
+; '@x.setter' methods setters
+(function_definition "async") @flag.async
+(decorated_definition (decorator (identifier) @_decorator) definition: (function_definition) @flag.classmethod (#eq? @_decorator "classmethod"))
+(decorated_definition (decorator (identifier) @_decorator) definition: (function_definition) @flag.getter (#match? @_decorator "^(property|cached_property)$"))
+(decorated_definition (decorator (attribute attribute: (identifier) @_decorator)) definition: (function_definition) @flag.getter (#eq? @_decorator "cached_property"))
+(decorated_definition (decorator (attribute attribute: (identifier) @_decorator)) definition: (function_definition) @flag.setter (#eq? @_decorator "setter"))
+(function_definition body: (block . (expression_statement . (string) @doc .)))
+(class_definition body: (block . (expression_statement . (string) @doc .)))
+
+; Imports: import a.b [as c], from .a import b [as c], from a import *
+(import_statement name: (dotted_name) @import.source @import.module) @import
+(import_statement name: (aliased_import name: (dotted_name) @import.source @import.module alias: (identifier) @import.alias)) @import
+(import_from_statement module_name: (_) @import.source) @import
+(import_from_statement module_name: (_) @import.source name: (dotted_name) @import.name) @import
+(import_from_statement module_name: (_) @import.source name: (aliased_import name: (dotted_name) @import.name alias: (identifier) @import.alias)) @import
+(import_from_statement module_name: (_) @import.source (wildcard_import) @import.wildcard) @import
+
+; Exports: the names listed in __all__
+(module (expression_statement (assignment left: (identifier) @_all right: [(list (string) @export.name) (tuple (string) @export.name)]) @export) (#eq? @_all "__all__"))
+(module (expression_statement (augmented_assignment left: (identifier) @_all right: [(list (string) @export.name) (tuple (string) @export.name)]) @export) (#eq? @_all "__all__"))
+
+; Entities: Flask and FastAPI endpoints (@app.route('/path', methods=[...]), @router.get('/path')) and Django URL
+; patterns (path('orders/', views.orders)). Routes without a method list accept GET (Flask) or any method (Django)
+(decorated_definition (decorator (call function: (attribute attribute: (identifier) @entity.method) arguments: (argument_list . (string) @entity.path))) @entity.route definition: (function_definition name: (identifier) @entity.handler) (#match? @entity.method "^(get|post|put|patch|delete|head|options)$"))
+(decorated_definition (decorator (call function: (attribute attribute: (identifier) @_route) arguments: (argument_list . (string) @entity.path))) @entity.route definition: (function_definition name: (identifier) @entity.handler) (#match? @_route "^(route|api_route|websocket)$") (#set! default_method "GET"))
+(decorator (call function: (attribute attribute: (identifier) @_route) arguments: (argument_list (keyword_argument name: (identifier) @_methods value: [(list (string) @entity.method) (tuple (string) @entity.method)]))) (#match? @_route "^(route|api_route)$") (#eq? @_methods "methods")) @entity.route
+(call function: (identifier) @_path arguments: (argument_list . (string) @entity.path [(identifier) (attribute) (call)] @entity.handler) (#match? @_path "^(path|re_path|url)$") (#set! default_method "ANY")) @entity.route
+
+; Calls
+(call function: (identifier) @name) @reference.call
+(call function: (attribute object: (_) @receiver attribute: (identifier) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+(identifier) @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_statement) (for_statement) (for_in_clause) (if_clause) (while_statement) (except_clause) (except_group_clause) (conditional_expression)] @metric.branch
+(if_statement) @metric.if
+(match_statement) @metric.switch
+(case_clause) @metric.case
+(elif_clause) @metric.else_if
+(else_clause) @metric.else
+(boolean_operator operator: ["and" "or"] @metric.logical)
+(lambda) @metric.inline
@@ -0,0 +1,29 @@
+; Symbol extraction queries for Ruby.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+; Modules own the methods defined inside them
+(module name: (_) @name) @definition.namespace @scope
+(class name: (_) @name) @definition.class
+(singleton_method name: (_) @name) @definition.method @static
+(method name: (_) @name) @definition.method
+
+; Imports: require/load and require_relative calls
+(call !receiver method: (identifier) @_method arguments: (argument_list . (string (string_content) @import.source)) (#match? @_method "^(require|load)$")) @import
+(call !receiver method: (identifier) @_method arguments: (argument_list . (string (string_content) @import.file)) (#eq? @_method "require_relative")) @import
+
+; Calls
+(call !receiver method: (identifier) @name) @reference.call
+(call receiver: (_) @receiver method: (identifier) @name) @reference.call
+
+; References: the identifiers find_references matches by name
+[(identifier) (constant)] @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if) (unless) (if_modifier) (unless_modifier) (for) (while) (until) (while_modifier) (until_modifier) (rescue) (rescue_modifier) (conditional)] @metric.branch
+[(if) (unless)] @metric.if
+(case) @metric.switch
+(when) @metric.case
+(elsif) @metric.else_if
+(else) @metric.else
+(binary operator: ["and" "or" "&&" "||"] @metric.logical)
+[(lambda) (do_block)] @metric.inline
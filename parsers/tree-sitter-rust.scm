@@ -0,0 +1,43 @@
+; Symbol extraction queries for Rust.
+; Capture names are described in the "Extraction Queries" section of the README.
+
+(mod_item name: (identifier) @name) @definition.namespace
+
+; Imports: items of nested use lists are prefixed with the path of each enclosing list
+(use_declaration argument: [(identifier) (scoped_identifier) (use_wildcard)] @import.path) @import
+(use_declaration argument: (use_as_clause path: (_) @import.path alias: (_) @import.alias)) @import
+(use_declaration) @import
+(use_list [(identifier) (scoped_identifier) (self) (use_wildcard)] @import.path)
+(use_list (use_as_clause path: (_) @import.path alias: (_) @import.alias))
+
+; Types
+(struct_item name: (type_identifier) @name) @definition.struct
+(enum_item name: (type_identifier) @name) @definition.enum
+(enum_variant name: (identifier) @name) @member.enum
+(trait_item name: (type_identifier) @name) @definition.interface
+(trait_item body: (declaration_list [(function_signature_item name: (identifier) @name) (function_item name: (identifier) @name)] @member.method))
+(type_item name: (type_identifier) @name) @definition.type
+
+; Impl blocks own their functions; associated functions without a self parameter are static
+(impl_item type: (type_identifier) @name) @scope
+(impl_item type: (generic_type type: (type_identifier) @name)) @scope
+(impl_item body: (declaration_list (function_item name: (identifier) @name parameters: (parameters) @_parameters) @definition.method @static) (#not-match? @_parameters "^\\(\\s*(&\\s*)?('\\w+\\s+)?(mut\\s+)?self\\b"))
+(function_item name: (identifier) @name) @definition.function
+(function_item (function_modifiers "async")) @flag.async
+
+; Calls
+(call_expression function: (identifier) @name) @reference.call
+(call_expression function: (field_expression value: (_) @receiver field: (field_identifier) @name)) @reference.call
+(call_expression function: (scoped_identifier path: (_) @receiver name: (identifier) @name)) @reference.call
+
+; References: the identifiers find_references matches by name
+[(identifier) (field_identifier) (type_identifier)] @reference.identifier
+
+; Metrics: decision points and nesting of control flow (get_code_metrics)
+[(if_expression) (for_expression) (while_expression) (loop_expression)] @metric.branch
+(if_expression) @metric.if
+(match_expression) @metric.switch
+(match_arm) @metric.case
+(else_clause) @metric.else
+(binary_expression operator: ["&&" "||"] @metric.logical)
+(closure_expression) @metric.inline
@@ -0,0 +1,2 @@
+; Symbol extraction queries for TSX: the TypeScript ones.
+; inherits: tree-sitter-typescript
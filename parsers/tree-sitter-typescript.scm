@@ -0,0 +1,19 @@
+; Symbol extraction queries for TypeScript, on top of the JavaScript ones.
+; inherits: tree-sitter-javascript
+
+(abstract_class_declaration name: (_) @name) @definition.class
+
+; Interfaces
+(interface_declaration name: (_) @name) @definition.interface
+(extends_type_clause (_) @extends)
+(interface_declaration body: (_ (property_signature name: (_) @name) @member.property))
+(interface_declaration body: (_ (method_signature name: (_) @name) @member.method))
+
+; Type aliases and enums
+(type_alias_declaration name: (_) @name) @definition.type
+(enum_declaration name: (_) @name) @definition.enum
+(enum_body (enum_assignment name: (_) @name) @member.enum)
+(enum_body [(property_identifier) (string)] @name @member.enum)
+
+; References: the identifiers find_references matches by name
+(type_identifier) @reference.identifier
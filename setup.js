@@ -13,37 +13,77 @@ const PARSERS = [
     name: 'tree-sitter-javascript.wasm',
     url: 'https://tree-sitter.github.io/tree-sitter-javascript.wasm'
   },
+  {
+    name: 'tree-sitter-typescript.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-typescript.wasm'
+  },
+  {
+    name: 'tree-sitter-tsx.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-tsx.wasm'
+  },
   {
     name: 'tree-sitter-python.wasm',
     url: 'https://tree-sitter.github.io/tree-sitter-python.wasm'
+  },
+  {
+    name: 'tree-sitter-go.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-go.wasm'
+  },
+  {
+    name: 'tree-sitter-rust.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-rust.wasm'
+  },
+  {
+    name: 'tree-sitter-java.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-java.wasm'
+  },
+  {
+    name: 'tree-sitter-c.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-c.wasm'
+  },
+  {
+    name: 'tree-sitter-cpp.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-cpp.wasm'
+  },
+  {
+    name: 'tree-sitter-c_sharp.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-c_sharp.wasm'
+  },
+  {
+    name: 'tree-sitter-ruby.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-ruby.wasm'
+  },
+  {
+    name: 'tree-sitter-php.wasm',
+    url: 'https://tree-sitter.github.io/tree-sitter-php.wasm'
   }
 ];
 
 // Create parsers directory if it doesn't exist
-function ensureParsersDirectory() {
+function ensureParsersDirectory(log = console.log) {
   const parsersDir = path.join(__dirname, 'parsers');
   if (!fs.existsSync(parsersDir)) {
-    console.log(`Creating parsers directory at ${parsersDir}`);
+    log(`Creating parsers directory at ${parsersDir}`);
     fs.mkdirSync(parsersDir, { recursive: true });
   }
   return parsersDir;
 }
 
 // Download a file from URL with redirect support
-function downloadFile(url, destination, redirectCount = 0) {
+function downloadFile(url, destination, redirectCount = 0, log = console.log) {
   return new Promise((resolve, reject) => {
     if (redirectCount > 5) {
       reject(new Error('Too many redirects'));
       return;
     }
     
-    console.log(`Downloading ${url}`);
+    log(`Downloading ${url}`);
     
     const request = https.get(url, (response) => {
       // Handle redirects (status codes 301, 302, 307, 308)
       if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-        console.log(`Redirecting to ${response.headers.location}`);
-        downloadFile(response.headers.location, destination, redirectCount + 1)
+        log(`Redirecting to ${response.headers.location}`);
+        downloadFile(response.headers.location, destination, redirectCount + 1, log)
           .then(resolve)
           .catch(reject);
         return;
@@ -59,7 +99,7 @@ function downloadFile(url, destination, redirectCount = 0) {
       
       file.on('finish', () => {
         file.close();
-        console.log(`Downloaded to ${destination}`);
+        log(`Downloaded to ${destination}`);
         resolve();
       });
       
@@ -75,12 +115,14 @@ function downloadFile(url, destination, redirectCount = 0) {
   });
 }
 
-// Main function to download all parsers
-async function setupParsers() {
+// Main function to download the parsers (all of them by default). Progress goes to the given log function, so
+// callers writing a protocol to stdout can send it to stderr instead
+async function setupParsers({ parsers = PARSERS.map(parser => parser.name), log = console.log } = {}) {
+  const selectedParsers = PARSERS.filter(parser => parsers.includes(parser.name));
   try {
-    const parsersDir = ensureParsersDirectory();
+    const parsersDir = ensureParsersDirectory(log);
     
-    console.log('Setting up Tree-sitter WASM parsers...');
+    log('Setting up Tree-sitter WASM parsers...');
     
     // Check if we're running in an npm lifecycle event
     const isNpmInstall = process.env.npm_lifecycle_event === 'install' || 
@@ -91,25 +133,25 @@ async function setupParsers() {
     const isNpmPublish = process.env.npm_lifecycle_event === 'prepublishOnly';
     
     if (isNpmPublish) {
-      console.log('Running as part of npm publish, ensuring WASM files are properly handled...');
+      log('Running as part of npm publish, ensuring WASM files are properly handled...');
     }
     
     // Track download failures
     let failures = 0;
     let success = 0;
     
-    for (const parser of PARSERS) {
+    for (const parser of selectedParsers) {
       const destination = path.join(parsersDir, parser.name);
       
       // Skip if the parser already exists
       if (fs.existsSync(destination)) {
-        console.log(`Parser ${parser.name} already exists, skipping download`);
+        log(`Parser ${parser.name} already exists, skipping download`);
         success++;
         continue;
       }
       
       try {
-        await downloadFile(parser.url, destination);
+        await downloadFile(parser.url, destination, 0, log);
         success++;
       } catch (err) {
         console.error(`Error downloading ${parser.name}: ${err.message}`);
@@ -119,40 +161,42 @@ async function setupParsers() {
       }
     }
     
-    if (success === PARSERS.length) {
-      console.log('\nSetup complete! All required WASM parsers have been downloaded.');
+    if (success === selectedParsers.length) {
+      log('\nSetup complete! All required WASM parsers have been downloaded.');
     } else {
-      console.log(`\nSetup completed with ${failures} failures and ${success} successes.`);
+      log(`\nSetup completed with ${failures} failures and ${success} successes.`);
       if (failures > 0) {
-        console.log("\nManual download instructions:");
-        console.log("1. Create a 'parsers' directory in your project or global installation");
-        console.log("2. Download the WASM files from these sources:");
-        console.log("   - JavaScript: https://github.com/tree-sitter/tree-sitter-javascript/releases");
-        console.log("   - Python: https://github.com/tree-sitter/tree-sitter-python/releases");
-        console.log(`3. Place them in the parsers directory: ${parsersDir}`);
+        log("\nManual download instructions:");
+        log("1. Create a 'parsers' directory in your project or global installation");
+        log("2. Download the WASM files from these sources:");
+        log("   - JavaScript: https://github.com/tree-sitter/tree-sitter-javascript/releases");
+        log("   - TypeScript/TSX: https://github.com/tree-sitter/tree-sitter-typescript/releases");
+        log("   - Python: https://github.com/tree-sitter/tree-sitter-python/releases");
+        log("   - Go, Rust, Java, C, C++, C#, Ruby, PHP: https://github.com/tree-sitter/tree-sitter-<language>/releases");
+        log(`3. Place them in the parsers directory: ${parsersDir}`);
       }
     }
     
-    console.log(`\nParsers are located at: ${parsersDir}`);
+    log(`\nParsers are located at: ${parsersDir}`);
     
     // If we're in npm install or prepare, provide additional guidance
     if (isNpmInstall) {
-      console.log('\nThis setup was triggered by npm installation.');
-      console.log('If you encounter any issues, run the setup manually:');
-      console.log('  npx code-context-provider-mcp-setup');
+      log('\nThis setup was triggered by npm installation.');
+      log('If you encounter any issues, run the setup manually:');
+      log('  npx code-context-provider-mcp-setup');
     }
     
     return { success, failures, parsersDir };
   } catch (err) {
     console.error('Error during setup:', err);
-    process.exit(1);
+    throw err;
   }
 }
 
 // Run the setup if this script is executed directly
 if (typeof process !== 'undefined' && process.argv && process.argv[1] && 
     import.meta.url === url.pathToFileURL(process.argv[1]).href) {
-  setupParsers();
+  setupParsers().catch(() => process.exit(1));
 }
 
 // Export the setup function for programmatic use